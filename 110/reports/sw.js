@@ -0,0 +1,108 @@
+/**
+ * 群聊日报 Service Worker
+ * 预缓存页面、样式、脚本和词云库，使看过的日报可以离线打开
+ * 日报和股票数据由页面中的 IndexedDB 缓存（ReportCache）提供，这里不缓存接口请求
+ */
+
+const CACHE_NAME = 'chatlog-report-v2';
+
+// 预缓存的静态资源（与 daily-report.html 中引用的地址保持一致）
+const PRECACHE_URLS = [
+    './daily-report.html',
+    'https://cdn.jsdelivr.net/gh/6565559/6565559.github.io@main/static/style-v1.7.css',
+    'https://cdn.jsdelivr.net/gh/6565559/6565559.github.io@main/static/script-v1.8.js',
+    'https://cdn.jsdelivr.net/npm/wordcloud@1.2.2/src/wordcloud2.js',
+    'https://cdn.jsdelivr.net/npm/@supabase/supabase-js@2'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    // 清理旧版本缓存
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request));
+        return;
+    }
+
+    if (PRECACHE_URLS.includes(request.url)) {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
+
+/**
+ * 去掉地址中的查询参数和锚点（?date= 等路由参数共用同一份页面缓存）
+ * @param {string} url - 地址
+ * @returns {string} 页面地址
+ */
+function stripRoute(url) {
+    const parsed = new URL(url);
+    parsed.search = '';
+    parsed.hash = '';
+    return parsed.href;
+}
+
+/**
+ * 网络优先，失败时使用缓存（用于页面本身，联网时总是拿到最新版本）
+ * @param {Request} request - 请求
+ * @returns {Promise<Response>} 响应
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const key = stripRoute(request.url);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(key, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(key);
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+/**
+ * 先返回缓存，同时后台更新（用于 @main 等可能更新的静态资源）
+ * @param {Request} request - 请求
+ * @returns {Promise<Response>} 响应
+ */
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request.url);
+
+    // 以 CORS 方式请求，才能判断响应是否成功
+    const update = fetch(request.url, { mode: 'cors' })
+        .then(response => {
+            if (response.ok) {
+                cache.put(request.url, response.clone());
+            }
+            return response;
+        });
+
+    if (cached) {
+        update.catch(error => console.warn('⚠️ 静态资源更新失败，继续使用缓存:', request.url, error));
+        return cached;
+    }
+    return update;
+}
@@ -0,0 +1,5119 @@
+/**
+ * ChatLog 群聊日报渲染器
+ * 用于将 reportData 渲染成可视化的日报页面
+ */
+
+(function(window) {
+    'use strict';
+
+    /**
+     * 配置常量
+     */
+    const CONFIG = {
+        COLORS: [
+            '#667eea', '#764ba2', '#f093fb', '#f5576c', '#4facfe', '#22c1c3',
+            '#fa709a', '#fee140', '#30cfd0', '#330867', '#a8edea', '#fed6e3',
+            '#ff6a00', '#ee0979', '#8e2de2', '#4a00e0', '#f953c6', '#b91d73'
+        ],
+        WORD_CLOUD: {
+            MIN_SIZE: 20,      // 从16增加到20
+            MAX_SIZE: 80,      // 从40增加到80
+            HEIGHT: 500,       // 从300增加到500
+            // 浅色/深色主题的词云配色（长度一致，同一个词在两套配色中取相同序号）
+            PALETTES: {
+                light: ['#5a67d8', '#6b46c1', '#d53f8c', '#e53e3e', '#3182ce', '#0f8b8d', '#dd6b20', '#b7791f', '#2f855a', '#805ad5'],
+                dark: ['#8b9cff', '#b794f4', '#f687b3', '#fc8181', '#63b3ed', '#4fd1c5', '#f6ad55', '#f6e05e', '#68d391', '#d6bcfa']
+            }
+        },
+        CHART: {
+            OPACITY_MIN: 0.1,
+            OPACITY_MAX: 0.9
+        },
+        HOURLY_CHART: {
+            SLOT: 32,          // 每个小时占用的宽度（viewBox 单位）
+            HEIGHT: 220,
+            PADDING: { top: 28, right: 8, bottom: 28, left: 36 }
+        },
+        // 允许出现在链接中的协议，其余（javascript:、data: 等）一律丢弃
+        URL_PROTOCOLS: ['http:', 'https:']
+    };
+
+    /**
+     * HTML 转义字符映射
+     */
+    const HTML_ESCAPES = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    };
+
+    /**
+     * 已转义的 HTML 片段，插入 html 模板时原样输出、不再重复转义
+     */
+    class SafeHtml {
+        constructor(value) {
+            this.value = String(value);
+        }
+
+        toString() {
+            return this.value;
+        }
+    }
+
+    /**
+     * 界面文案（消息目录）
+     * 键名按版块分组，{name} 为占位符；带 _one 后缀的键用于 count 为 1 时的单数形式
+     * 页面脚本可通过 ChatLogRenderer.addMessages 补充自己的文案
+     */
+    const MESSAGES = {
+        'zh-CN': {
+            'page.defaultTitle': '群聊日报 by ChatInsight',
+            'page.title': '{group}{type}',
+            'punct.listSeparator': '、',
+
+            'section.header': '报告头部',
+            'section.hotTopics': '讨论热点',
+            'section.hotTopics.title': '📊 讨论热点',
+            'section.sharedResources': '资源分享',
+            'section.sharedResources.title': '📚 实用教程与资源分享',
+            'section.qaHighlights': '问答精选',
+            'section.qaHighlights.title': '❓ 问答精选',
+            'section.analytics': '数据统计',
+            'section.analytics.title': '📈 数据统计与分析',
+            'section.heatDistribution': '话题热度分布',
+            'section.heatDistribution.title': '🔥 话题热度分布',
+            'section.activityRanking': '活跃度排行',
+            'section.activityRanking.title': '🏆 活跃度排行榜',
+            'section.hourlyActivity': '时段活跃度',
+            'section.hourlyActivity.title': '⏰ 时段活跃度分析',
+            'section.nightOwl': '熬夜冠军',
+            'section.wordCloud': '热词云图',
+            'section.wordCloud.title': '☁️ 热词云图',
+            'section.reportSummary': '报告总结',
+            'section.footer': '页脚信息',
+            'section.riskDisclaimer': '投资风险提示',
+            'section.unavailable': '{label}数据异常，该部分暂时无法显示。',
+
+            'header.title': '{group}群聊{type}',
+            'header.totalMessages': '总消息数：',
+            'header.activeUsers': '活跃用户：',
+            'header.period': '统计周期：',
+            'header.days': '{count}天',
+            'header.baseline': '🔀 对比基准：{label}',
+            'delta.same': '持平',
+
+            'hotTopics.empty': '本期暂无热点话题。',
+            'hotTopics.comment': '评论',
+            'hotTopics.messages': '{count}条讨论',
+            'hotTopics.participants': '{count}人参与',
+            'hotTopics.keywords': '关键词：',
+
+            'sharedResources.empty': '本期暂无资源分享。',
+            'sharedResources.keyPoints': '核心要点：',
+            'sharedResources.viewOriginal': '查看原文',
+
+            'qaHighlights.empty': '本期暂无精选问答。',
+            'qaHighlights.question': '问题',
+            'qaHighlights.asker': '提问者：',
+            'qaHighlights.bestAnswer': '最佳答案',
+            'qaHighlights.responder': '回答者：',
+
+            'heatDistribution.empty': '暂无热度数据。',
+            'heatDistribution.messages': '{count}条消息',
+            'heatDistribution.participants': '{count}人参与',
+
+            'activityRanking.empty': '暂无活跃度数据。',
+            'activityRanking.messages': '{count}条',
+            'activityRanking.rank': '排名',
+            'activityRanking.member': '成员',
+            'activityRanking.messageCount': '消息数',
+            'activityRanking.traits': '特征',
+            'member.open': '查看 {name} 的成员档案',
+            'achievement.messages': '话痨：上榜日累计 {count} 条消息',
+            'achievement.topDays': '常驻榜单：累计上榜 {count} 天',
+            'achievement.streak': '连续上榜 {count} 天',
+            'achievement.answers': '答疑达人：{count} 个最佳答案',
+            'achievement.resources': '资源宝库：分享 {count} 个资源',
+            'achievement.nightOwls': '守夜人：{count} 次熬夜冠军',
+
+            'hourlyActivity.empty': '暂无时段数据。',
+            'hourlyActivity.baseline': '对比基准：{count}',
+            'hourlyActivity.hour': '时段',
+            'hourlyActivity.messageCount': '消息数',
+            'hourlyActivity.tooltip': '{hour} · {count} 条消息',
+            'hourlyActivity.peak': '峰值 {hour} · {count}',
+            'hourlyActivity.chartLabel': '时段活跃度柱状图，峰值出现在 {hour}，共 {count} 条消息',
+            'hourlyActivity.average': '近 {days} 天平均',
+            'hourlyActivity.averageValue': '近 {days} 天平均 {count}',
+            'hourlyActivity.baselineLegend': '对比基准',
+
+            'nightOwl.title': '🌙 熬夜冠军',
+            'nightOwl.lastActive': '最晚活跃：',
+            'nightOwl.crowns': '夺冠 {count} 次',
+
+            'wordCloud.empty': '暂无热词。',
+            'wordCloud.hotWords': '☁️ 热词',
+            'wordCloud.none': '无',
+            'wordCloud.added': '🆕 新词',
+            'wordCloud.dropped': '💨 消失',
+            'wordCloud.tooltip': '{word} · 权重 {weight} · {count} 条相关内容',
+            'wordCloud.filteredBy': '筛选：{word}（{count} 条）',
+            'wordCloud.clearFilter': '清除筛选',
+
+            'theme.auto': '跟随系统',
+            'theme.light': '浅色',
+            'theme.dark': '深色',
+            'theme.toggle': '切换主题（当前：{name}）',
+
+            'summary.title': '📝 总结',
+            'summary.titleWithRange': '📝 {range} 总结',
+            'summary.insights': '核心洞察',
+            'summary.trends': '趋势分析',
+            'summary.suggestions': '建议与展望',
+
+            'footer.source': '数据来源：',
+            'footer.period': '统计周期：',
+            'footer.generatedAt': '生成时间：',
+            'footer.disclaimer': '免责声明：本报告由 ChatInsight 基于群聊公开内容自动生成，仅供参考。',
+
+            'risk.title': '投资风险提示',
+            'risk.source': `股票信息内容由 <strong>TradingAgents-CN 多智能体股票分析工具</strong>生成，本工具不具备证券投资咨询资质。
+                            网页中的所有分析结果、评分、投资建议均由 AI 基于历史数据自动生成，仅供<strong>学习、研究与技术交流</strong>使用，
+                            不构成任何投资建议或决策依据。`,
+            'risk.warning': `股票投资存在<strong>市场风险、流动性风险、政策风险</strong>等多种风险，可能导致本金损失。
+                            用户应基于自身风险承受能力独立决策，使用本工具产生的任何投资行为及其后果由用户自行承担。`,
+            'risk.highlight': '市场有风险，投资需谨慎。',
+
+            'markdown.unavailable': '{label}数据异常，已省略。',
+            'markdown.footer': '数据来源：{group} · 本报告由 ChatInsight 基于群聊公开内容自动生成，仅供参考。',
+
+            'poster.hotTopics': '📊 今日热点',
+            'poster.hourlyActivity': '⏰ 时段热度',
+            'poster.stats': '💬 {messages} 条消息    👥 {users} 位活跃用户',
+            'poster.nightOwl': '🌙 熬夜冠军 · {name}',
+            'poster.footer': '由 ChatInsight 基于群聊公开内容自动生成，仅供参考',
+
+            'heatmap.empty': '暂无活跃数据',
+            'heatmap.tooltip': '{date}\n💬 {messages} 条消息 · 👥 {users} 人活跃',
+            'heatmap.topTopic': '🔥 {topic}',
+            'heatmap.less': '少',
+            'heatmap.more': '多',
+
+            'error.title': '⚠️ 渲染失败',
+            'error.invalidData': '无效的报告数据',
+            'error.required': '缺少必填字段',
+            'error.type': '应为 {expected}，实际为 {actual}',
+            'error.checkConsole': '请检查控制台获取详细错误信息'
+        },
+        'en-US': {
+            'page.defaultTitle': 'Group Chat Report by ChatInsight',
+            'page.title': '{group} {type}',
+            'reportType.日报': 'Daily Report',
+            'reportType.周报': 'Weekly Report',
+            'reportType.月报': 'Monthly Report',
+            'punct.listSeparator': ', ',
+
+            'section.header': 'Report header',
+            'section.hotTopics': 'Hot topics',
+            'section.hotTopics.title': '📊 Hot Topics',
+            'section.sharedResources': 'Shared resources',
+            'section.sharedResources.title': '📚 Tutorials & Shared Resources',
+            'section.qaHighlights': 'Q&A highlights',
+            'section.qaHighlights.title': '❓ Q&A Highlights',
+            'section.analytics': 'Statistics',
+            'section.analytics.title': '📈 Statistics & Analysis',
+            'section.heatDistribution': 'Topic heat distribution',
+            'section.heatDistribution.title': '🔥 Topic Heat Distribution',
+            'section.activityRanking': 'Activity ranking',
+            'section.activityRanking.title': '🏆 Activity Ranking',
+            'section.hourlyActivity': 'Hourly activity',
+            'section.hourlyActivity.title': '⏰ Hourly Activity',
+            'section.nightOwl': 'Night owl',
+            'section.wordCloud': 'Word cloud',
+            'section.wordCloud.title': '☁️ Word Cloud',
+            'section.reportSummary': 'Report summary',
+            'section.footer': 'Footer',
+            'section.riskDisclaimer': 'Investment risk notice',
+            'section.unavailable': '{label}: the data is invalid, so this section cannot be shown right now.',
+
+            'header.title': '{group} · {type}',
+            'header.totalMessages': 'Messages: ',
+            'header.activeUsers': 'Active members: ',
+            'header.period': 'Period: ',
+            'header.days': '{count} days',
+            'header.days_one': '{count} day',
+            'header.baseline': '🔀 Compared with: {label}',
+            'delta.same': 'no change',
+
+            'hotTopics.empty': 'No hot topics in this period.',
+            'hotTopics.comment': 'Comment',
+            'hotTopics.messages': '{count} messages',
+            'hotTopics.messages_one': '{count} message',
+            'hotTopics.participants': '{count} participants',
+            'hotTopics.participants_one': '{count} participant',
+            'hotTopics.keywords': 'Keywords: ',
+
+            'sharedResources.empty': 'No shared resources in this period.',
+            'sharedResources.keyPoints': 'Key points:',
+            'sharedResources.viewOriginal': 'View source',
+
+            'qaHighlights.empty': 'No Q&A highlights in this period.',
+            'qaHighlights.question': 'Question',
+            'qaHighlights.asker': 'Asked by: ',
+            'qaHighlights.bestAnswer': 'Best answer',
+            'qaHighlights.responder': 'Answered by: ',
+
+            'heatDistribution.empty': 'No heat data.',
+            'heatDistribution.messages': '{count} messages',
+            'heatDistribution.messages_one': '{count} message',
+            'heatDistribution.participants': '{count} participants',
+            'heatDistribution.participants_one': '{count} participant',
+
+            'activityRanking.empty': 'No activity data.',
+            'activityRanking.messages': '{count} msgs',
+            'activityRanking.messages_one': '{count} msg',
+            'activityRanking.rank': 'Rank',
+            'activityRanking.member': 'Member',
+            'activityRanking.messageCount': 'Messages',
+            'activityRanking.traits': 'Traits',
+            'member.open': "View {name}'s profile",
+            'achievement.messages': 'Chatterbox: {count} messages on ranked days',
+            'achievement.topDays': 'Regular: {count} days in the top 5',
+            'achievement.streak': '{count}-day top 5 streak',
+            'achievement.answers': 'Helper: {count} best answers',
+            'achievement.resources': 'Librarian: {count} resources shared',
+            'achievement.nightOwls': 'Night watch: {count} night owl crowns',
+
+            'hourlyActivity.empty': 'No hourly data.',
+            'hourlyActivity.baseline': 'Baseline: {count}',
+            'hourlyActivity.hour': 'Hour',
+            'hourlyActivity.messageCount': 'Messages',
+            'hourlyActivity.tooltip': '{hour} · {count} messages',
+            'hourlyActivity.peak': 'Peak {hour} · {count}',
+            'hourlyActivity.chartLabel': 'Hourly activity bar chart, peaking at {hour} with {count} messages',
+            'hourlyActivity.average': '{days}-day average',
+            'hourlyActivity.averageValue': '{days}-day average {count}',
+            'hourlyActivity.baselineLegend': 'Baseline',
+
+            'nightOwl.title': '🌙 Night Owl',
+            'nightOwl.lastActive': 'Last active: ',
+            'nightOwl.crowns': 'Crowned {count} times',
+            'nightOwl.crowns_one': 'Crowned once',
+
+            'wordCloud.empty': 'No hot words.',
+            'wordCloud.hotWords': '☁️ Hot Words',
+            'wordCloud.none': 'None',
+            'wordCloud.added': '🆕 New',
+            'wordCloud.dropped': '💨 Gone',
+            'wordCloud.tooltip': '{word} · weight {weight} · {count} matching items',
+            'wordCloud.tooltip_one': '{word} · weight {weight} · {count} matching item',
+            'wordCloud.filteredBy': 'Filtered by: {word} ({count} items)',
+            'wordCloud.filteredBy_one': 'Filtered by: {word} ({count} item)',
+            'wordCloud.clearFilter': 'Clear filter',
+
+            'theme.auto': 'System',
+            'theme.light': 'Light',
+            'theme.dark': 'Dark',
+            'theme.toggle': 'Switch theme (current: {name})',
+
+            'summary.title': '📝 Summary',
+            'summary.titleWithRange': '📝 Summary · {range}',
+            'summary.insights': 'Key Insights',
+            'summary.trends': 'Trends',
+            'summary.suggestions': 'Suggestions & Outlook',
+
+            'footer.source': 'Source: ',
+            'footer.period': 'Period: ',
+            'footer.generatedAt': 'Generated at: ',
+            'footer.disclaimer': 'Disclaimer: this report is generated automatically by ChatInsight from public group chat content and is for reference only.',
+
+            'risk.title': 'Investment Risk Notice',
+            'risk.source': `Stock information is generated by the <strong>TradingAgents-CN multi-agent stock analysis tool</strong>, which holds no securities advisory qualification.
+                            All analysis, scores and recommendations on this page are generated automatically by AI from historical data for <strong>learning, research and technical discussion</strong> only,
+                            and do not constitute investment advice or a basis for any decision.`,
+            'risk.warning': `Stock investment carries <strong>market, liquidity and policy risks</strong>, among others, and may result in loss of principal.
+                            Make your own decisions based on your risk tolerance; you bear all consequences of any investment made using this tool.`,
+            'risk.highlight': 'Markets are risky. Invest with caution.',
+
+            'markdown.unavailable': '{label}: the data is invalid and has been omitted.',
+            'markdown.footer': 'Source: {group} · This report is generated automatically by ChatInsight from public group chat content and is for reference only.',
+
+            'poster.hotTopics': '📊 Hot Topics',
+            'poster.hourlyActivity': '⏰ Hourly Heat',
+            'poster.stats': '💬 {messages} messages    👥 {users} active members',
+            'poster.nightOwl': '🌙 Night Owl · {name}',
+            'poster.footer': 'Generated by ChatInsight from public group chat content. For reference only.',
+
+            'heatmap.empty': 'No activity data yet',
+            'heatmap.tooltip': '{date}\n💬 {messages} messages · 👥 {users} active',
+            'heatmap.topTopic': '🔥 {topic}',
+            'heatmap.less': 'Less',
+            'heatmap.more': 'More',
+
+            'error.title': '⚠️ Rendering failed',
+            'error.invalidData': 'Invalid report data',
+            'error.required': 'Required field is missing',
+            'error.type': 'Expected {expected}, got {actual}',
+            'error.checkConsole': 'Check the browser console for details.'
+        }
+    };
+
+    /**
+     * reportData 各部分的数据结构定义
+     * type 可以是单个类型或类型数组；optional 表示允许缺失（undefined/null）
+     */
+    const REPORT_SCHEMA = {
+        reportInfo: {
+            type: 'object',
+            fields: {
+                groupName: { type: 'string' },
+                reportType: { type: 'string' },
+                dateRange: { type: 'string', optional: true },
+                totalMessages: { type: 'number' },
+                activeUsers: { type: 'number' },
+                dayCount: { type: 'number', optional: true }
+            }
+        },
+        hotTopics: {
+            type: 'array',
+            optional: true,
+            items: {
+                type: 'object',
+                fields: {
+                    title: { type: 'string' },
+                    category: { type: 'string', optional: true },
+                    summary: { type: 'string', optional: true },
+                    deepComment: { type: 'string', optional: true },
+                    keywords: { type: 'array', items: { type: 'string' } },
+                    stats: {
+                        type: 'object',
+                        fields: {
+                            messageCount: { type: 'number' },
+                            participantCount: { type: 'number' }
+                        }
+                    }
+                }
+            }
+        },
+        sharedResources: {
+            type: 'array',
+            optional: true,
+            items: {
+                type: 'object',
+                fields: {
+                    type: { type: 'string', optional: true },
+                    title: { type: 'string' },
+                    sharer: { type: 'string', optional: true },
+                    time: { type: 'string', optional: true },
+                    summary: { type: 'string', optional: true },
+                    keyPoints: { type: 'array', optional: true, items: { type: 'string' } },
+                    url: { type: 'string', optional: true }
+                }
+            }
+        },
+        qaHighlights: {
+            type: 'array',
+            optional: true,
+            items: {
+                type: 'object',
+                fields: {
+                    question: {
+                        type: 'object',
+                        fields: {
+                            asker: { type: 'string', optional: true },
+                            content: { type: 'string' },
+                            time: { type: 'string', optional: true }
+                        }
+                    },
+                    bestAnswer: {
+                        type: 'object',
+                        fields: {
+                            responder: { type: 'string', optional: true },
+                            content: { type: 'string' },
+                            time: { type: 'string', optional: true }
+                        }
+                    }
+                }
+            }
+        },
+        analytics: {
+            type: 'object',
+            fields: {
+                activityRanking: {
+                    type: 'array',
+                    optional: true,
+                    items: {
+                        type: 'object',
+                        fields: {
+                            rank: { type: 'number' },
+                            name: { type: 'string' },
+                            messageCount: { type: 'number' },
+                            traits: { type: 'array', items: { type: 'string' } }
+                        }
+                    }
+                },
+                hourlyActivity: {
+                    type: 'array',
+                    optional: true,
+                    items: {
+                        type: 'object',
+                        fields: {
+                            hour: { type: ['string', 'number'] },
+                            count: { type: 'number' }
+                        }
+                    }
+                },
+                nightOwl: {
+                    type: 'object',
+                    optional: true,
+                    fields: {
+                        name: { type: 'string', optional: true },
+                        title: { type: 'string', optional: true },
+                        lastActiveTime: { type: 'string', optional: true },
+                        lastMessage: { type: 'string', optional: true },
+                        crowns: { type: 'number', optional: true }
+                    }
+                }
+            }
+        },
+        wordCloud: {
+            type: 'array',
+            optional: true,
+            items: {
+                type: 'object',
+                fields: {
+                    word: { type: 'string' },
+                    weight: { type: 'number' }
+                }
+            }
+        },
+        reportSummary: {
+            type: 'object',
+            fields: {
+                insights: { type: 'array', items: { type: 'string' } },
+                trends: { type: 'string', optional: true },
+                suggestions: { type: 'string', optional: true }
+            }
+        }
+    };
+
+    /**
+     * 国际化 - 语言选择、文案查找和本地化日期
+     */
+    const I18n = {
+        DEFAULT_LOCALE: 'zh-CN',
+
+        /**
+         * 当前语言（首次使用时按 navigator.language 解析）
+         */
+        locale: null,
+
+        /**
+         * 将语言偏好解析为已支持的语言，支持仅按语种匹配（如 en → en-US）
+         * @param {string|Array<string>} preferred - 语言偏好，未指定时使用浏览器语言
+         * @returns {string} 已支持的语言
+         */
+        resolveLocale(preferred) {
+            const browserLocales = typeof navigator !== 'undefined'
+                ? (navigator.languages || [navigator.language])
+                : [];
+            const candidates = [].concat(preferred || browserLocales);
+            const locales = Object.keys(MESSAGES);
+
+            for (const candidate of candidates) {
+                if (!candidate) continue;
+                const exact = locales.find(locale => locale.toLowerCase() === String(candidate).toLowerCase());
+                if (exact) return exact;
+                const language = String(candidate).split('-')[0].toLowerCase();
+                const sameLanguage = locales.find(locale => locale.split('-')[0].toLowerCase() === language);
+                if (sameLanguage) return sameLanguage;
+            }
+            return this.DEFAULT_LOCALE;
+        },
+
+        /**
+         * 获取当前语言
+         * @returns {string} 语言代码
+         */
+        getLocale() {
+            if (!this.locale) {
+                this.locale = this.resolveLocale();
+            }
+            return this.locale;
+        },
+
+        /**
+         * 设置当前语言
+         * @param {string} locale - 语言代码，为空时按浏览器语言
+         * @returns {string} 实际生效的语言
+         */
+        setLocale(locale) {
+            this.locale = this.resolveLocale(locale);
+            return this.locale;
+        },
+
+        /**
+         * 补充或覆盖文案
+         * @param {string} locale - 语言代码
+         * @param {object} messages - 文案 {key: text}
+         */
+        addMessages(locale, messages) {
+            MESSAGES[locale] = { ...MESSAGES[locale], ...messages };
+        },
+
+        /**
+         * 查找文案（当前语言缺失时回退到默认语言）
+         * @param {string} key - 文案键
+         * @returns {string|undefined} 文案模板
+         */
+        lookup(key) {
+            const pack = MESSAGES[this.getLocale()] || {};
+            return key in pack ? pack[key] : MESSAGES[this.DEFAULT_LOCALE][key];
+        },
+
+        /**
+         * 翻译文案并替换占位符
+         * @param {string} key - 文案键
+         * @param {object} params - 占位符参数，count 为 1 时优先使用 key_one
+         * @returns {string} 文案（未找到时返回键名）
+         */
+        t(key, params = {}) {
+            const template = (params.count === 1 && this.lookup(`${key}_one`)) || this.lookup(key);
+            if (template === undefined) {
+                return key;
+            }
+            return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+        },
+
+        /**
+         * 翻译数据中的固定取值（如报告类型、投资建议），无对应文案时原样返回
+         * @param {string} group - 取值分组（如 reportType）
+         * @param {string} value - 原始取值
+         * @returns {string} 显示文本
+         */
+        term(group, value) {
+            if (value === undefined || value === null || value === '') {
+                return value;
+            }
+            const text = this.lookup(`${group}.${value}`);
+            return text === undefined ? value : text;
+        },
+
+        /**
+         * 解析可能为函数的文本（版块 title/label 可为函数，以便切换语言后重新取值）
+         * @param {string|Function} value - 文本或返回文本的函数
+         * @returns {string} 文本
+         */
+        resolve(value) {
+            return typeof value === 'function' ? value() : value;
+        },
+
+        /**
+         * 按当前语言格式化日期
+         * @param {string|Date} value - 日期或日期字符串
+         * @param {object} options - Intl.DateTimeFormat 选项，默认显示年月日
+         * @returns {string} 格式化后的日期
+         */
+        formatDate(value, options = { year: 'numeric', month: 'long', day: 'numeric' }) {
+            const date = value instanceof Date ? value : new Date(value);
+            if (Number.isNaN(date.getTime())) {
+                return '';
+            }
+            return date.toLocaleDateString(this.getLocale(), options);
+        }
+    };
+
+    /**
+     * 工具函数
+     */
+    const Utils = {
+        /**
+         * 安全地分割文本（处理包含多个分隔符的情况）
+         * @param {string} text - 要分割的文本
+         * @param {string} separator - 分隔符
+         * @returns {object} 包含 prefix 和 suffix 的对象
+         */
+        safeSplit(text, separator) {
+            const index = text.indexOf(separator);
+            if (index === -1) {
+                return { prefix: '', suffix: text };
+            }
+            return {
+                prefix: text.substring(0, index),
+                suffix: text.substring(index + separator.length)
+            };
+        },
+
+        /**
+         * 转义 HTML 特殊字符
+         * @param {string} str - 要转义的字符串
+         * @returns {string} 转义后的字符串
+         */
+        escapeHtml(str) {
+            if (str === undefined || str === null) {
+                return '';
+            }
+            return String(str).replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+        },
+
+        /**
+         * HTML 标签模板：插值默认转义，SafeHtml（如嵌套的 html 模板）原样输出，数组逐项处理后拼接
+         * @example html`<p title="${title}">${items.map(item => html`<span>${item}</span>`)}</p>`
+         * @param {Array<string>} strings - 模板的字面量部分
+         * @param {...*} values - 插值
+         * @returns {SafeHtml} 拼接后的 HTML
+         */
+        html(strings, ...values) {
+            const toHtml = value => {
+                if (value instanceof SafeHtml) {
+                    return value.value;
+                }
+                if (Array.isArray(value)) {
+                    return value.map(toHtml).join('');
+                }
+                return Utils.escapeHtml(value);
+            };
+            return new SafeHtml(strings.reduce((out, str, i) => out + toHtml(values[i - 1]) + str));
+        },
+
+        /**
+         * 将已确认安全的 HTML 字符串标记为 SafeHtml，插入 html 模板时不再转义
+         * @param {string} str - HTML 字符串
+         * @returns {SafeHtml} 标记后的 HTML
+         */
+        raw(str) {
+            return new SafeHtml(str === undefined || str === null ? '' : str);
+        },
+
+        /**
+         * 用分隔符拼接一组 HTML 片段（数组直接插入 html 模板时不带分隔符）
+         * @param {Array} items - 片段，非 SafeHtml 的项会被转义
+         * @param {string} separator - 分隔符（按 HTML 原样输出），默认不加
+         * @returns {SafeHtml} 拼接后的 HTML
+         */
+        joinHtml(items, separator = '') {
+            return new SafeHtml(items.map(item => Utils.html`${item}`.value).join(separator));
+        },
+
+        /**
+         * 按协议白名单检查链接，不在白名单内（javascript:、data: 等）或无法解析时返回空字符串
+         * @param {string} url - 链接
+         * @param {Array<string>} protocols - 允许的协议，默认 CONFIG.URL_PROTOCOLS
+         * @returns {string} 可以放进 href 的链接，或空字符串
+         */
+        safeUrl(url, protocols = CONFIG.URL_PROTOCOLS) {
+            const value = String(url || '').trim();
+            if (!value || /\s/.test(value)) {
+                return '';
+            }
+            try {
+                return protocols.includes(new URL(value).protocol) ? value : '';
+            } catch (error) {
+                return '';
+            }
+        },
+
+        /**
+         * 转换为数字（空值或无法解析时返回 null）
+         * @param {*} value - 原始值（接口返回的数字可能是字符串）
+         * @returns {number|null} 数字
+         */
+        toNumber(value) {
+            if (value === undefined || value === null || value === '') return null;
+            const number = parseFloat(value);
+            return isNaN(number) ? null : number;
+        },
+
+        /**
+         * 判断是否为可以打开的网页链接（http/https），"N/A" 等占位值返回 false
+         * @param {string} url - 链接
+         * @returns {boolean} 是否为有效链接
+         */
+        isHttpUrl(url) {
+            return Utils.safeUrl(url) !== '';
+        },
+
+        /**
+         * 格式化日期时间
+         * @param {Date} date - 日期对象
+         * @returns {string} 格式化后的日期时间字符串
+         */
+        formatDateTime(date) {
+            const year = date.getFullYear();
+            const month = String(date.getMonth() + 1).padStart(2, '0');
+            const day = String(date.getDate()).padStart(2, '0');
+            const hours = String(date.getHours()).padStart(2, '0');
+            const minutes = String(date.getMinutes()).padStart(2, '0');
+            return `${year}-${month}-${day} ${hours}:${minutes}`;
+        },
+
+        /**
+         * 格式化日期
+         * @param {string|Date} value - 日期或日期字符串
+         * @returns {string} 格式化后的日期字符串
+         */
+        formatDate(value) {
+            if (!value) {
+                return '';
+            }
+            const date = value instanceof Date ? value : new Date(value);
+            if (Number.isNaN(date.getTime())) {
+                return '';
+            }
+            const year = date.getFullYear();
+            const month = String(date.getMonth() + 1).padStart(2, '0');
+            const day = String(date.getDate()).padStart(2, '0');
+            return `${year}-${month}-${day}`;
+        },
+
+        /**
+         * 格式化报告日期（优先使用数据库的report_date字段，否则使用info.dateRange）
+         * 周报/月报等多日报告始终使用info.dateRange
+         * @param {object} info - 报告信息
+         * @param {object} dbFields - 数据库字段
+         * @returns {string} 报告日期文本
+         */
+        formatReportDate(info, dbFields) {
+            return dbFields?.reportDate && !(info.dayCount > 1)
+                ? I18n.formatDate(dbFields.reportDate)
+                : info.dateRange;
+        },
+
+        /**
+         * 生成页面标题
+         * @param {object} info - 报告信息
+         * @param {object} dbFields - 数据库字段
+         * @returns {string} 页面标题
+         */
+        buildPageTitle(info, dbFields) {
+            let reportDateForTitle = '';
+            if (info.dayCount > 1) {
+                reportDateForTitle = info.dateRange || '';
+            } else if (dbFields?.reportDate) {
+                reportDateForTitle = this.formatDate(dbFields.reportDate) || info.dateRange || '';
+            } else if (info.dateRange) {
+                reportDateForTitle = this.formatDate(info.dateRange) || info.dateRange;
+            }
+            const title = I18n.t('page.title', { group: info.groupName, type: I18n.term('reportType', info.reportType) });
+            return `${title}${reportDateForTitle ? ` - ${reportDateForTitle}` : ''}`;
+        }
+    };
+
+    /**
+     * html 标签模板的简写，供下方模板使用
+     */
+    const html = Utils.html;
+
+    /**
+     * 数据校验器 - 按 REPORT_SCHEMA 校验 reportData
+     */
+    const Validator = {
+        /**
+         * 获取值的类型名称
+         * @param {*} value - 任意值
+         * @returns {string} 类型名称（array/null/number/string/object...）
+         */
+        typeOf(value) {
+            if (Array.isArray(value)) return 'array';
+            if (value === null) return 'null';
+            if (typeof value === 'number' && Number.isNaN(value)) return 'NaN';
+            return typeof value;
+        },
+
+        /**
+         * 按结构定义递归校验一个值
+         * @param {*} value - 要校验的值
+         * @param {object} schema - 结构定义
+         * @param {string} path - 当前字段路径（如 hotTopics[0].stats）
+         * @param {Array} errors - 错误收集数组
+         * @returns {Array} 错误收集数组
+         */
+        validate(value, schema, path, errors = []) {
+            if (value === undefined || value === null) {
+                if (!schema.optional) {
+                    errors.push({ path, message: I18n.t('error.required') });
+                }
+                return errors;
+            }
+
+            const expected = Array.isArray(schema.type) ? schema.type : [schema.type];
+            const actual = this.typeOf(value);
+            if (!expected.includes(actual)) {
+                errors.push({ path, message: I18n.t('error.type', { expected: expected.join('|'), actual }) });
+                return errors;
+            }
+
+            if (actual === 'array' && schema.items) {
+                value.forEach((item, index) => this.validate(item, schema.items, `${path}[${index}]`, errors));
+            } else if (actual === 'object' && schema.fields) {
+                Object.keys(schema.fields).forEach(key => {
+                    this.validate(value[key], schema.fields[key], `${path}.${key}`, errors);
+                });
+            }
+            return errors;
+        },
+
+        /**
+         * 检查报告数据本身是否为对象（init、renderToString、toMarkdown、createPoster 共用）
+         * @param {*} reportData - 报告数据
+         * @returns {Array} 错误数组，数据有效时为空
+         */
+        checkReportData(reportData) {
+            if (!reportData || typeof reportData !== 'object' || Array.isArray(reportData)) {
+                return [{ section: 'reportData', path: 'reportData', message: I18n.t('error.invalidData') }];
+            }
+            return [];
+        },
+
+        /**
+         * 校验完整的报告数据，错误按顶层字段归类
+         * @param {object} reportData - 完整的报告数据
+         * @returns {Array} 错误数组 [{section, path, message}, ...]
+         */
+        validateReport(reportData) {
+            const errors = [];
+            Object.keys(REPORT_SCHEMA).forEach(section => {
+                this.validate(reportData[section], REPORT_SCHEMA[section], section)
+                    .forEach(error => errors.push({ section, ...error }));
+            });
+            return errors;
+        },
+
+        /**
+         * 判断某个数据路径是否受错误影响（自身、子字段或父字段出错）
+         * @param {Array} errors - 错误数组
+         * @param {string} slice - 数据路径（如 analytics.hourlyActivity）
+         * @returns {boolean} 是否存在相关错误
+         */
+        affects(errors, slice) {
+            return errors.some(({ path }) =>
+                path === slice ||
+                path.startsWith(`${slice}.`) ||
+                path.startsWith(`${slice}[`) ||
+                slice.startsWith(`${path}.`)
+            );
+        }
+    };
+
+    /**
+     * 报告聚合器 - 将多份日报合并为周报/月报（结构与日报一致）
+     */
+    const ReportAggregator = {
+        /**
+         * 周期类型与报告类型对应关系
+         */
+        PERIODS: {
+            DAY: '日报',
+            WEEK: '周报',
+            MONTH: '月报'
+        },
+
+        /**
+         * 聚合结果中各列表的最大条数
+         */
+        LIMITS: {
+            hotTopics: 6,
+            qaHighlights: 10,
+            activityRanking: 5,
+            wordCloud: 30
+        },
+
+        /**
+         * 解析日期（YYYY-MM-DD 按本地时间解析，避免时区偏移导致跨天）
+         * @param {string|Date} value - 日期或日期字符串
+         * @returns {Date|null} 日期对象
+         */
+        parseDate(value) {
+            if (!value) return null;
+            if (value instanceof Date) return value;
+            const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+            const date = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : new Date(value);
+            return Number.isNaN(date.getTime()) ? null : date;
+        },
+
+        /**
+         * 计算日期所属周期的键
+         * @param {string|Date} value - 日期
+         * @param {string} period - 周期类型（DAY/WEEK/MONTH）
+         * @returns {string} 周期键：日 YYYY-MM-DD，周为该周周一 YYYY-MM-DD，月 YYYY-MM
+         */
+        getPeriodKey(value, period) {
+            const date = this.parseDate(value);
+            if (!date) return '';
+            if (period === 'MONTH') {
+                return Utils.formatDate(date).slice(0, 7);
+            }
+            if (period === 'WEEK') {
+                const monday = new Date(date);
+                monday.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+                return Utils.formatDate(monday);
+            }
+            return Utils.formatDate(date);
+        },
+
+        /**
+         * 按周期分组（组内按日期升序，组间按周期降序）
+         * @param {Array} items - 任意记录数组
+         * @param {string} period - 周期类型（DAY/WEEK/MONTH）
+         * @param {Function} getDate - 获取记录日期的函数
+         * @returns {Array} [{key, items}, ...]
+         */
+        groupByPeriod(items, period, getDate) {
+            const groups = new Map();
+            items.forEach(item => {
+                const key = this.getPeriodKey(getDate(item), period);
+                if (!key) return;
+                if (!groups.has(key)) {
+                    groups.set(key, []);
+                }
+                groups.get(key).push(item);
+            });
+
+            return Array.from(groups.entries())
+                .sort((a, b) => (a[0] < b[0] ? 1 : -1))
+                .map(([key, groupItems]) => ({
+                    key,
+                    items: groupItems.sort((a, b) => (String(getDate(a)) < String(getDate(b)) ? -1 : 1))
+                }));
+        },
+
+        /**
+         * 获取日报对应的日期
+         * @param {object} report - 日报数据
+         * @returns {string} 日期字符串 YYYY-MM-DD
+         */
+        getReportDate(report) {
+            return Utils.formatDate(this.parseDate(report._dbFields?.reportDate || report.reportInfo?.dateRange));
+        },
+
+        /**
+         * 合并多份日报
+         * @param {Array} reports - 日报数据数组
+         * @param {string} period - 周期类型（WEEK/MONTH）
+         * @param {object} limits - 各列表最大条数，覆盖 LIMITS
+         * @returns {object} 与日报结构一致的聚合报告
+         */
+        aggregate(reports, period = 'WEEK', limits = {}) {
+            const max = { ...this.LIMITS, ...limits };
+            const days = (reports || [])
+                .filter(report => report && typeof report === 'object')
+                .map(report => ({ report, date: this.getReportDate(report) }))
+                .sort((a, b) => (a.date < b.date ? -1 : 1));
+
+            if (days.length === 0) {
+                throw new Error('没有可聚合的日报数据');
+            }
+
+            const list = key => days.flatMap(({ report }) => (Array.isArray(report[key]) ? report[key] : []));
+            const latest = days[days.length - 1].report;
+            const firstDate = days[0].date;
+            const lastDate = days[days.length - 1].date;
+
+            return {
+                reportInfo: this.mergeReportInfo(days, period),
+                hotTopics: this.mergeHotTopics(list('hotTopics'), max.hotTopics),
+                sharedResources: this.mergeSharedResources(list('sharedResources')),
+                qaHighlights: list('qaHighlights').slice(0, max.qaHighlights),
+                analytics: {
+                    activityRanking: this.mergeActivityRanking(days.flatMap(({ report }) => report.analytics?.activityRanking || []), max.activityRanking),
+                    hourlyActivity: this.mergeHourlyActivity(days.map(({ report }) => report.analytics?.hourlyActivity || [])),
+                    nightOwl: this.mergeNightOwl(days.map(({ report }) => report.analytics?.nightOwl).filter(Boolean))
+                },
+                wordCloud: this.mergeWordCloud(list('wordCloud'), max.wordCloud),
+                reportSummary: this.mergeSummary(days),
+                _dbFields: {
+                    reportDate: lastDate,
+                    createdAt: latest._dbFields?.createdAt,
+                    periodStart: firstDate,
+                    periodType: period
+                }
+            };
+        },
+
+        /**
+         * 合并报告信息（活跃用户无法跨天去重，取单日最大值）
+         * @param {Array} days - [{report, date}, ...]（按日期升序）
+         * @param {string} period - 周期类型
+         * @returns {object} 报告信息
+         */
+        mergeReportInfo(days, period) {
+            const infos = days.map(({ report }) => report.reportInfo || {});
+            const firstDate = days[0].date;
+            const lastDate = days[days.length - 1].date;
+
+            return {
+                groupName: infos[infos.length - 1].groupName || infos.find(info => info.groupName)?.groupName || '',
+                reportType: this.PERIODS[period] || this.PERIODS.WEEK,
+                dateRange: firstDate === lastDate ? firstDate : `${firstDate} ~ ${lastDate}`,
+                totalMessages: infos.reduce((sum, info) => sum + (Number(info.totalMessages) || 0), 0),
+                activeUsers: Math.max(0, ...infos.map(info => Number(info.activeUsers) || 0)),
+                dayCount: days.length
+            };
+        },
+
+        /**
+         * 按讨论量挑选热点话题
+         * @param {Array} topics - 所有话题
+         * @param {number} limit - 最大条数
+         * @returns {Array} 热点话题
+         */
+        mergeHotTopics(topics, limit) {
+            return topics
+                .filter(topic => topic && topic.stats)
+                .sort((a, b) => (b.stats.messageCount || 0) - (a.stats.messageCount || 0))
+                .slice(0, limit);
+        },
+
+        /**
+         * 合并资源分享（有效链接按 URL 去重，否则按标题去重）
+         * @param {Array} resources - 所有资源
+         * @returns {Array} 去重后的资源
+         */
+        mergeSharedResources(resources) {
+            const seen = new Set();
+            return resources.filter(res => {
+                if (!res) return false;
+                const key = Utils.isHttpUrl(res.url) ? `url:${res.url}` : `title:${res.title}`;
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+        },
+
+        /**
+         * 按成员名合并活跃度排行并重新排名
+         * @param {Array} entries - 所有排行条目
+         * @param {number} limit - 最大条数
+         * @returns {Array} 排行数据
+         */
+        mergeActivityRanking(entries, limit) {
+            const members = new Map();
+            entries.forEach(entry => {
+                if (!entry || !entry.name) return;
+                const member = members.get(entry.name) || { name: entry.name, messageCount: 0, traits: [] };
+                member.messageCount += Number(entry.messageCount) || 0;
+                (entry.traits || []).forEach(trait => {
+                    if (!member.traits.includes(trait)) {
+                        member.traits.push(trait);
+                    }
+                });
+                members.set(entry.name, member);
+            });
+
+            return Array.from(members.values())
+                .sort((a, b) => b.messageCount - a.messageCount)
+                .slice(0, limit)
+                .map((member, index) => ({ rank: index + 1, ...member }));
+        },
+
+        /**
+         * 按小时累加活跃度
+         * @param {Array<Array>} series - 每天的 hourlyActivity
+         * @returns {Array} 合并后的 hourlyActivity
+         */
+        mergeHourlyActivity(series) {
+            const hours = new Map();
+            series.forEach(day => {
+                day.forEach(({ hour, count }) => {
+                    const key = String(hour).padStart(2, '0');
+                    hours.set(key, (hours.get(key) || 0) + (Number(count) || 0));
+                });
+            });
+
+            return Array.from(hours.entries())
+                .sort((a, b) => (a[0] < b[0] ? -1 : 1))
+                .map(([hour, count]) => ({ hour, count }));
+        },
+
+        /**
+         * 计算多份报告的每小时平均消息数（没有时段数据的报告不计入天数）
+         * @param {Array} reports - 报告数据数组
+         * @returns {{days: number, hours: Array}} 参与平均的天数和 [{hour, count}]
+         */
+        averageHourlyActivity(reports) {
+            const series = reports
+                .map(report => report.analytics?.hourlyActivity || [])
+                .filter(day => day.length > 0);
+            if (series.length === 0) {
+                return { days: 0, hours: [] };
+            }
+
+            const hours = this.mergeHourlyActivity(series)
+                .map(({ hour, count }) => ({ hour, count: Math.round((count / series.length) * 10) / 10 }));
+            return { days: series.length, hours };
+        },
+
+        /**
+         * 选出夺冠次数最多的熬夜冠军（次数相同取最近一次）
+         * @param {Array} owls - 每天的熬夜冠军（按日期升序）
+         * @returns {object|null} 熬夜冠军
+         */
+        mergeNightOwl(owls) {
+            const named = owls.filter(owl => owl.name);
+            if (named.length === 0) return null;
+
+            const counts = new Map();
+            named.forEach(owl => counts.set(owl.name, (counts.get(owl.name) || 0) + 1));
+
+            let champion = named[named.length - 1];
+            named.forEach(owl => {
+                if (counts.get(owl.name) > counts.get(champion.name)) {
+                    champion = owl;
+                }
+            });
+            const latest = named.filter(owl => owl.name === champion.name).pop();
+
+            return { ...latest, crowns: counts.get(champion.name) };
+        },
+
+        /**
+         * 合并词云权重
+         * @param {Array} words - 所有词
+         * @param {number} limit - 最大条数
+         * @returns {Array} 按权重降序的词云数据
+         */
+        mergeWordCloud(words, limit) {
+            const weights = new Map();
+            words.forEach(item => {
+                if (!item || !item.word) return;
+                weights.set(item.word, (weights.get(item.word) || 0) + (Number(item.weight) || 0));
+            });
+
+            return Array.from(weights.entries())
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, limit)
+                .map(([word, weight]) => ({ word, weight }));
+        },
+
+        /**
+         * 合并总结：每天取第一条洞察（以日期为前缀），趋势和建议取最近一天
+         * @param {Array} days - [{report, date}, ...]（按日期升序）
+         * @returns {object} 总结数据
+         */
+        mergeSummary(days) {
+            const latest = days[days.length - 1].report.reportSummary || {};
+            return {
+                insights: days
+                    .filter(({ report }) => Array.isArray(report.reportSummary?.insights) && report.reportSummary.insights.length > 0)
+                    .map(({ report, date }) => `${date}：${report.reportSummary.insights[0]}`),
+                trends: latest.trends,
+                suggestions: latest.suggestions
+            };
+        }
+    };
+
+    /**
+     * 报告对比器 - 计算两份报告之间的变化
+     */
+    const ReportComparator = {
+        /**
+         * 对比两份报告
+         * @param {object} current - 当前报告数据
+         * @param {object} previous - 对比基准报告数据
+         * @returns {object} 对比结果
+         */
+        compare(current, previous) {
+            const currentInfo = current.reportInfo || {};
+            const previousInfo = previous.reportInfo || {};
+            const delta = key => {
+                const a = Number(currentInfo[key]) || 0;
+                const b = Number(previousInfo[key]) || 0;
+                return { current: a, previous: b, delta: a - b };
+            };
+
+            const previousRanks = {};
+            (previous.analytics?.activityRanking || []).forEach(user => {
+                previousRanks[user.name] = user.rank;
+            });
+
+            const currentWords = (current.wordCloud || []).map(item => item.word);
+            const previousWords = (previous.wordCloud || []).map(item => item.word);
+
+            const previousHours = {};
+            (previous.analytics?.hourlyActivity || []).forEach(({ hour, count }) => {
+                previousHours[String(hour).padStart(2, '0')] = Number(count) || 0;
+            });
+
+            return {
+                baselineLabel: ReportAggregator.getReportDate(previous) || previousInfo.dateRange || '',
+                totalMessages: delta('totalMessages'),
+                activeUsers: delta('activeUsers'),
+                previousRanks,
+                addedWords: currentWords.filter(word => !previousWords.includes(word)),
+                droppedWords: previousWords.filter(word => !currentWords.includes(word)),
+                previousHours
+            };
+        },
+
+        /**
+         * 计算成员排名变化
+         * @param {object} comparison - 对比结果
+         * @param {object} user - 当前排行条目
+         * @returns {object} {type: 'new'|'up'|'down'|'same', steps}
+         */
+        rankMove(comparison, user) {
+            const previousRank = comparison.previousRanks[user.name];
+            if (previousRank === undefined) {
+                return { type: 'new', steps: 0 };
+            }
+            const steps = previousRank - user.rank;
+            if (steps > 0) return { type: 'up', steps };
+            if (steps < 0) return { type: 'down', steps: -steps };
+            return { type: 'same', steps: 0 };
+        }
+    };
+
+    /**
+     * 股票推荐回测 - 用之后报告日返回的收盘价检验每日推荐
+     * 只依赖 get_hot_stocks_with_reports 的返回数据（stock_code、close、decision）
+     */
+    const StockBacktest = {
+        // 可选的验证周期（报告日）
+        HORIZONS: [1, 3, 5],
+
+        // 持有建议的命中区间（涨跌幅绝对值不超过该比例）
+        HOLD_TOLERANCE: 0.05,
+
+        // 置信度校准的分组数
+        CALIBRATION_BINS: 5,
+
+        // 投资建议对应的样式
+        ACTION_CLASSES: { '买入': 'buy', '持有': 'hold', '卖出': 'sell' },
+
+        /**
+         * 判断推荐是否命中
+         * @param {string} action - 投资建议
+         * @param {number} change - 涨跌幅比例
+         * @returns {boolean} 是否命中
+         */
+        isHit(action, change) {
+            if (action === '买入') return change > 0;
+            if (action === '卖出') return change < 0;
+            // 涨跌幅由收盘价相除得到，留出浮点误差，恰好等于命中区间的边界也算命中
+            return Math.abs(change) <= this.HOLD_TOLERANCE + 1e-9;
+        },
+
+        /**
+         * 回测
+         * @param {Array} snapshots - 每日股票数据 [{date, stocks}, ...]
+         * @param {object} options - {horizon: 验证周期（报告日），默认 HORIZONS[0]}
+         * @returns {object} {horizon, holdTolerance, resolved, pending, hitRate, brier, byAction, calibration, calls}
+         */
+        evaluate(snapshots, { horizon } = {}) {
+            horizon = horizon || this.HORIZONS[0];
+            const toNumber = Utils.toNumber;
+            const sorted = snapshots.slice().sort((a, b) => a.date.localeCompare(b.date));
+
+            // 每只股票在各报告日的收盘价
+            const series = new Map();
+            sorted.forEach((snapshot, index) => {
+                snapshot.stocks.forEach(stock => {
+                    const close = toNumber(stock.close);
+                    if (!stock.stock_code || close === null) return;
+                    if (!series.has(stock.stock_code)) {
+                        series.set(stock.stock_code, []);
+                    }
+                    series.get(stock.stock_code).push({ index, close });
+                });
+            });
+
+            // 每条推荐与至少 horizon 个报告日后首次出现的收盘价比较
+            const calls = [];
+            sorted.forEach((snapshot, index) => {
+                snapshot.stocks.forEach(stock => {
+                    const decision = stock.decision || {};
+                    const action = (decision.action || '').trim();
+                    const entry = toNumber(stock.close);
+                    if (!action || !entry) return;
+
+                    const exit = (series.get(stock.stock_code) || []).find(point => point.index >= index + horizon);
+                    const change = exit ? exit.close / entry - 1 : null;
+                    calls.push({
+                        date: snapshot.date,
+                        code: stock.stock_code,
+                        name: stock.stock_name,
+                        action,
+                        confidence: toNumber(decision.confidence),
+                        change,
+                        hit: change === null ? null : this.isHit(action, change)
+                    });
+                });
+            });
+
+            const resolved = calls.filter(call => call.change !== null);
+            const average = values => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+            const hitRate = items => average(items.map(call => (call.hit ? 1 : 0)));
+
+            // 买入 / 持有 / 卖出在前，其他建议按出现顺序排在后面
+            const order = Object.keys(this.ACTION_CLASSES);
+            const rank = action => (order.includes(action) ? order.indexOf(action) : order.length);
+            const actions = Array.from(new Set(resolved.map(call => call.action)))
+                .sort((a, b) => rank(a) - rank(b));
+            const byAction = actions.map(action => {
+                const items = resolved.filter(call => call.action === action);
+                return {
+                    action,
+                    count: items.length,
+                    hitRate: hitRate(items),
+                    avgReturn: average(items.map(call => call.change))
+                };
+            });
+
+            // 置信度只统计 0–1 之间的值，校准分组和 Brier 分数使用同一批推荐
+            const withConfidence = resolved.filter(call => call.confidence !== null && call.confidence >= 0 && call.confidence <= 1);
+            const calibration = Array.from({ length: this.CALIBRATION_BINS }, (_, bin) => {
+                const from = bin / this.CALIBRATION_BINS;
+                const to = (bin + 1) / this.CALIBRATION_BINS;
+                const items = withConfidence.filter(call =>
+                    call.confidence >= from && (call.confidence < to || (bin === this.CALIBRATION_BINS - 1 && call.confidence <= to)));
+                return {
+                    from,
+                    to,
+                    count: items.length,
+                    avgConfidence: average(items.map(call => call.confidence)),
+                    hitRate: hitRate(items)
+                };
+            }).filter(bin => bin.count > 0);
+
+            return {
+                horizon,
+                holdTolerance: this.HOLD_TOLERANCE,
+                resolved: resolved.length,
+                pending: calls.length - resolved.length,
+                hitRate: hitRate(resolved),
+                // 置信度与实际结果的均方差，越小越准
+                brier: average(withConfidence.map(call => (call.confidence - (call.hit ? 1 : 0)) ** 2)),
+                byAction,
+                calibration,
+                calls
+            };
+        }
+    };
+
+    /**
+     * 历史日报全文检索
+     * 中文按单字和相邻两字（bigram）切分，字母数字按单词切分并支持前缀匹配
+     */
+    const ReportSearch = {
+        /**
+         * 参与检索的版块：从报告中取出条目 [{index, title, texts}]
+         * index 与页面卡片的 data-anchor 序号一致
+         */
+        SECTIONS: {
+            hotTopics: report => (report.hotTopics || []).map((topic, index) => ({
+                index,
+                title: topic.title,
+                texts: [topic.title, topic.summary, ...(topic.keywords || [])]
+            })),
+            qaHighlights: report => (report.qaHighlights || []).map((qa, index) => ({
+                index,
+                title: qa.question?.content,
+                texts: [qa.question?.content, qa.bestAnswer?.content]
+            })),
+            sharedResources: report => (report.sharedResources || []).map((res, index) => ({
+                index,
+                title: res.title,
+                texts: [res.title, res.summary]
+            })),
+            wordCloud: report => {
+                const words = (report.wordCloud || []).map(item => item.word);
+                return words.length > 0 ? [{ index: 0, title: '', texts: words }] : [];
+            }
+        },
+
+        /**
+         * 排序时各版块的基础权重
+         */
+        WEIGHTS: {
+            hotTopics: 3,
+            qaHighlights: 2,
+            sharedResources: 2,
+            wordCloud: 1
+        },
+
+        /**
+         * 片段截取时匹配词前后保留的字数
+         */
+        SNIPPET_RADIUS: 30,
+
+        /**
+         * 切分为词段（连续的中文或连续的字母数字）
+         * @param {string} text - 文本
+         * @returns {Array<string>} 小写词段
+         */
+        segments(text) {
+            return String(text || '').toLowerCase().match(/[㐀-鿿豈-﫿]+|[a-z0-9]+/g) || [];
+        },
+
+        /**
+         * 判断词段是否为中文
+         * @param {string} segment - 词段
+         * @returns {boolean} 是否为中文
+         */
+        isCjk(segment) {
+            return /[㐀-鿿豈-﫿]/.test(segment);
+        },
+
+        /**
+         * 建索引用的切分：中文输出单字和 bigram，字母数字输出整词
+         * @param {string} text - 文本
+         * @returns {Set<string>} 词项集合
+         */
+        tokenize(text) {
+            const tokens = new Set();
+            this.segments(text).forEach(segment => {
+                if (!this.isCjk(segment)) {
+                    tokens.add(segment);
+                    return;
+                }
+                const chars = Array.from(segment);
+                chars.forEach((char, i) => {
+                    tokens.add(char);
+                    if (i < chars.length - 1) {
+                        tokens.add(char + chars[i + 1]);
+                    }
+                });
+            });
+            return tokens;
+        },
+
+        /**
+         * 查询用的切分：中文取 bigram（仅一个字时取单字），字母数字按前缀匹配
+         * @param {string} query - 查询文本
+         * @returns {Array<{token: string, prefix: boolean}>} 查询词项
+         */
+        queryTokens(query) {
+            const tokens = [];
+            this.segments(query).forEach(segment => {
+                if (!this.isCjk(segment)) {
+                    tokens.push({ token: segment, prefix: true });
+                    return;
+                }
+                const chars = Array.from(segment);
+                if (chars.length === 1) {
+                    tokens.push({ token: segment, prefix: false });
+                    return;
+                }
+                for (let i = 0; i < chars.length - 1; i++) {
+                    tokens.push({ token: chars[i] + chars[i + 1], prefix: false });
+                }
+            });
+            return tokens;
+        },
+
+        /**
+         * 建立倒排索引
+         * @param {Array} entries - [{id, date, reportData}, ...]
+         * @returns {object} 索引 {docs, postings}
+         */
+        buildIndex(entries) {
+            const docs = [];
+            const postings = new Map();
+
+            entries.forEach(({ id, date, reportData }) => {
+                if (!reportData) return;
+                Object.keys(this.SECTIONS).forEach(section => {
+                    this.SECTIONS[section](reportData).forEach(item => {
+                        const texts = item.texts
+                            .filter(text => text !== undefined && text !== null && text !== '')
+                            .map(String);
+                        const docId = docs.push({
+                            reportId: id,
+                            date,
+                            section,
+                            index: item.index,
+                            title: String(item.title || ''),
+                            texts
+                        }) - 1;
+
+                        texts.forEach(text => {
+                            this.tokenize(text).forEach(token => {
+                                if (!postings.has(token)) {
+                                    postings.set(token, new Set());
+                                }
+                                postings.get(token).add(docId);
+                            });
+                        });
+                    });
+                });
+            });
+
+            return { docs, postings };
+        },
+
+        /**
+         * 查找包含词项的文档
+         * @param {object} index - 索引
+         * @param {object} queryToken - {token, prefix}
+         * @returns {Set<number>} 文档序号集合
+         */
+        lookup(index, { token, prefix }) {
+            if (!prefix) {
+                return index.postings.get(token) || new Set();
+            }
+            const ids = new Set();
+            index.postings.forEach((docIds, key) => {
+                if (key.startsWith(token)) {
+                    docIds.forEach(id => ids.add(id));
+                }
+            });
+            return ids;
+        },
+
+        /**
+         * 截取匹配片段并高亮（返回已转义的 HTML）
+         * @param {Array<string>} texts - 文档文本
+         * @param {Array<string>} terms - 高亮词（小写，按长度降序）
+         * @returns {string} HTML 片段
+         */
+        snippet(texts, terms) {
+            const lowerTexts = texts.map(text => text.toLowerCase());
+            // 优先选择命中最长词的文本
+            const hitLength = text => Math.max(0, ...terms.filter(term => text.includes(term)).map(term => term.length));
+            const hitIndex = lowerTexts.reduce((best, text, i) => (hitLength(text) > hitLength(lowerTexts[best]) ? i : best), 0);
+            const text = texts[hitIndex] || '';
+            const lower = lowerTexts[hitIndex] || '';
+
+            const positions = terms.map(term => lower.indexOf(term)).filter(pos => pos >= 0);
+            const chars = Array.from(text);
+            // indexOf 返回 UTF-16 位置，换算为字符位置
+            const hitAt = positions.length > 0 ? Array.from(text.slice(0, Math.min(...positions))).length : 0;
+            const start = Math.max(0, hitAt - this.SNIPPET_RADIUS);
+            const end = Math.min(chars.length, hitAt + this.SNIPPET_RADIUS * 2);
+            const excerpt = `${start > 0 ? '…' : ''}${chars.slice(start, end).join('')}${end < chars.length ? '…' : ''}`;
+
+            if (terms.length === 0) {
+                return Utils.escapeHtml(excerpt);
+            }
+            const pattern = new RegExp(`(${terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+            return excerpt
+                .split(pattern)
+                .map((part, i) => (i % 2 === 1 ? `<mark>${Utils.escapeHtml(part)}</mark>` : Utils.escapeHtml(part)))
+                .join('');
+        },
+
+        /**
+         * 检索（所有查询词项都命中才算匹配），结果按日期分组
+         * @param {object} index - buildIndex 生成的索引
+         * @param {string} query - 查询文本
+         * @param {object} options - {limit: 最多返回的条目数}
+         * @returns {Array} [{date, items: [{reportId, section, index, title, snippet, score}]}, ...]，按日期降序
+         */
+        search(index, query, { limit = 50 } = {}) {
+            const tokens = this.queryTokens(query);
+            if (!index || tokens.length === 0) {
+                return [];
+            }
+
+            let matched = null;
+            tokens.forEach(queryToken => {
+                const ids = this.lookup(index, queryToken);
+                matched = matched === null ? new Set(ids) : new Set([...matched].filter(id => ids.has(id)));
+            });
+
+            const segments = this.segments(query);
+            const terms = [...new Set([...segments, ...tokens.map(({ token }) => token)])]
+                .sort((a, b) => b.length - a.length);
+
+            const items = [...matched].map(docId => {
+                const doc = index.docs[docId];
+                const haystack = doc.texts.join('\n').toLowerCase();
+                const title = doc.title.toLowerCase();
+                // 完整词段连续出现、命中标题时排序靠前
+                const score = this.WEIGHTS[doc.section]
+                    + (segments.every(segment => haystack.includes(segment)) ? 3 : 0)
+                    + (segments.some(segment => title.includes(segment)) ? 2 : 0);
+                return {
+                    reportId: doc.reportId,
+                    date: doc.date,
+                    section: doc.section,
+                    index: doc.index,
+                    title: doc.title,
+                    snippet: this.snippet(doc.texts, terms),
+                    score
+                };
+            })
+                .sort((a, b) => b.score - a.score)
+                .slice(0, limit);
+
+            const groups = new Map();
+            items
+                .sort((a, b) => String(b.date).localeCompare(String(a.date)) || b.score - a.score)
+                .forEach(item => {
+                    if (!groups.has(item.date)) {
+                        groups.set(item.date, []);
+                    }
+                    groups.get(item.date).push(item);
+                });
+
+            return Array.from(groups, ([date, groupItems]) => ({ date, items: groupItems }));
+        }
+    };
+
+    /**
+     * 词云样式 - 由热词和报告日期决定颜色与布局，同一份报告每次渲染结果一致
+     */
+    const WordCloudStyle = {
+        /**
+         * 字符串哈希（FNV-1a，32 位）
+         * @param {string} text - 文本
+         * @returns {number} 无符号整数
+         */
+        hash(text) {
+            let hash = 0x811c9dc5;
+            for (let i = 0; i < text.length; i++) {
+                hash ^= text.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193);
+            }
+            return hash >>> 0;
+        },
+
+        /**
+         * 可复现的伪随机数生成器（mulberry32）
+         * @param {number} seed - 种子
+         * @returns {Function} 返回 [0, 1) 随机数的函数
+         */
+        random(seed) {
+            let state = seed >>> 0;
+            return () => {
+                state = (state + 0x6d2b79f5) >>> 0;
+                let t = state;
+                t = Math.imul(t ^ (t >>> 15), t | 1);
+                t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+                return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+            };
+        },
+
+        /**
+         * 报告的种子（报告日期）
+         * @param {object} reportData - 报告数据
+         * @returns {string} 种子
+         */
+        seed(reportData) {
+            return reportData?._dbFields?.reportDate || reportData?.reportInfo?.dateRange || '';
+        },
+
+        /**
+         * 热词在配色中的序号
+         * @param {string} word - 热词
+         * @param {string} seed - 报告种子
+         * @returns {number} 序号
+         */
+        colorIndex(word, seed) {
+            return this.hash(`${word}|${seed}`) % CONFIG.WORD_CLOUD.PALETTES.light.length;
+        },
+
+        /**
+         * 热词颜色
+         * @param {string} word - 热词
+         * @param {string} seed - 报告种子
+         * @param {string} theme - 主题 ('light' 或 'dark')
+         * @returns {string} 颜色
+         */
+        color(word, seed, theme) {
+            const palette = CONFIG.WORD_CLOUD.PALETTES[theme === 'light' ? 'light' : 'dark'];
+            return palette[this.colorIndex(word, seed)];
+        },
+
+        /**
+         * 当前页面主题（与 ThemeManager 一致，默认为深色）
+         * @returns {string} 'light' 或 'dark'
+         */
+        getTheme() {
+            return document.documentElement.getAttribute('data-theme') === 'light' ? 'light' : 'dark';
+        },
+
+        /**
+         * 在种子随机数下同步执行函数，返回前恢复 Math.random，不会影响之后运行的其他代码
+         * @param {Function} random - 种子随机数函数（见 random）
+         * @param {Function} fn - 要执行的函数
+         * @returns {*} fn 的返回值
+         */
+        withRandom(random, fn) {
+            const nativeRandom = Math.random;
+            Math.random = random;
+            try {
+                return fn();
+            } finally {
+                Math.random = nativeRandom;
+            }
+        },
+
+        /**
+         * 以可复现的方式调用 wordcloud2.js
+         * wordcloud2.js 的排布和旋转依赖 Math.random，并且逐词异步绘制：调用时读取 window.setImmediate 作为循环函数。
+         * 调用期间将其换成包装过的版本，每一步都在 withRandom 中执行，调用返回前即恢复
+         * @param {string} key - 种子文本
+         * @param {Function} draw - 调用 WordCloud 的函数
+         */
+        layout(key, draw) {
+            const random = this.random(this.hash(key));
+            const nativeImmediate = window.setImmediate;
+            window.setImmediate = callback => nativeImmediate.call(window, () => this.withRandom(random, callback));
+            try {
+                this.withRandom(random, draw);
+            } finally {
+                window.setImmediate = nativeImmediate;
+            }
+        }
+    };
+
+    /**
+     * 热词筛选 - 查找正文中包含某个热词的话题、问答和资源
+     */
+    const WordFilter = {
+        /**
+         * 参与筛选的版块及各条目的文本（与版块的 data-anchor 前缀一致）
+         */
+        SECTIONS: {
+            hotTopics: topic => [topic.title, topic.summary, topic.deepComment, ...(topic.keywords || [])],
+            qaHighlights: qa => [qa.question?.content, qa.bestAnswer?.content],
+            sharedResources: res => [res.title, res.summary, ...(res.keyPoints || [])]
+        },
+
+        /**
+         * 查找包含热词的条目（不区分大小写）
+         * @param {object} reportData - 报告数据
+         * @param {string} word - 热词
+         * @returns {Array} [{section, index}, ...]
+         */
+        matches(reportData, word) {
+            const needle = String(word || '').toLowerCase();
+            if (!reportData || !needle) return [];
+
+            const result = [];
+            Object.entries(this.SECTIONS).forEach(([section, getTexts]) => {
+                (reportData[section] || []).forEach((item, index) => {
+                    const found = getTexts(item).some(text => typeof text === 'string' && text.toLowerCase().includes(needle));
+                    if (found) {
+                        result.push({ section, index });
+                    }
+                });
+            });
+            return result;
+        }
+    };
+
+    /**
+     * 资源库 - 汇总所有日报分享的资源，同一链接（无有效链接时为同一标题）合并为一条
+     */
+    const ResourceLibrary = {
+        /**
+         * 计算资源的去重键：链接忽略锚点、末尾斜杠和域名大小写；无有效链接时使用标题
+         * @param {object} res - 资源
+         * @returns {string} 去重键
+         */
+        key(res) {
+            if (Utils.isHttpUrl(res.url)) {
+                const url = String(res.url).trim();
+                try {
+                    const parsed = new URL(url);
+                    parsed.hash = '';
+                    return `url:${parsed.href.replace(/\/$/, '')}`;
+                } catch (error) {
+                    return `url:${url}`;
+                }
+            }
+            return `title:${String(res.title || '').trim().toLowerCase()}`;
+        },
+
+        /**
+         * 汇总资源
+         * @param {Array} entries - [{id, date, reportData}, ...]
+         * @returns {object} {groups, types, sharers}
+         *   groups: [{key, url, title, types, summary, keyPoints, shares: [{id, date, index, sharer, time}], sharers, firstDate, lastDate}]，按最近分享日期降序
+         *   types / sharers: [{value, count}]，按资源数降序
+         */
+        build(entries) {
+            const groups = new Map();
+
+            entries.forEach(({ id, date, reportData }) => {
+                (reportData?.sharedResources || []).forEach((res, index) => {
+                    if (!res || !res.title) return;
+
+                    const key = this.key(res);
+                    if (!groups.has(key)) {
+                        groups.set(key, {
+                            key,
+                            url: Utils.isHttpUrl(res.url) ? String(res.url).trim() : null,
+                            title: res.title,
+                            types: [],
+                            summary: res.summary || '',
+                            keyPoints: [],
+                            shares: [],
+                            sharers: [],
+                            firstDate: date,
+                            lastDate: date
+                        });
+                    }
+
+                    const group = groups.get(key);
+                    // 标题和摘要使用最近一次分享的版本
+                    if (date >= group.lastDate) {
+                        group.title = res.title;
+                        group.summary = res.summary || group.summary;
+                        group.lastDate = date;
+                    }
+                    if (date < group.firstDate) {
+                        group.firstDate = date;
+                    }
+                    if (res.type && !group.types.includes(res.type)) {
+                        group.types.push(res.type);
+                    }
+                    (res.keyPoints || []).forEach(point => {
+                        if (!group.keyPoints.includes(point)) {
+                            group.keyPoints.push(point);
+                        }
+                    });
+                    if (res.sharer && !group.sharers.includes(res.sharer)) {
+                        group.sharers.push(res.sharer);
+                    }
+                    group.shares.push({ id, date, index, sharer: res.sharer || '', time: res.time || '' });
+                });
+            });
+
+            const list = Array.from(groups.values());
+            list.forEach(group => {
+                group.shares.sort((a, b) => (a.date < b.date ? 1 : (a.date > b.date ? -1 : 0)));
+            });
+            list.sort((a, b) => (a.lastDate < b.lastDate ? 1 : (a.lastDate > b.lastDate ? -1 : b.shares.length - a.shares.length)));
+
+            return {
+                groups: list,
+                types: this.facet(list, group => group.types),
+                sharers: this.facet(list, group => group.sharers)
+            };
+        },
+
+        /**
+         * 统计筛选项
+         * @param {Array} groups - 资源分组
+         * @param {Function} getValues - 取出分组的取值数组
+         * @returns {Array} [{value, count}]，按资源数降序
+         */
+        facet(groups, getValues) {
+            const counts = new Map();
+            groups.forEach(group => {
+                getValues(group).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+            });
+            return Array.from(counts.entries())
+                .map(([value, count]) => ({ value, count }))
+                .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+        },
+
+        /**
+         * 筛选资源
+         * @param {Array} groups - 资源分组
+         * @param {object} filters - {type, sharer, keyword}，keyword 匹配要点和标题（不区分大小写）
+         * @returns {Array} 符合条件的分组
+         */
+        filter(groups, { type = '', sharer = '', keyword = '' } = {}) {
+            const needle = keyword.trim().toLowerCase();
+            return groups.filter(group => {
+                if (type && !group.types.includes(type)) return false;
+                if (sharer && !group.sharers.includes(sharer)) return false;
+                if (needle) {
+                    return [group.title, ...group.keyPoints].some(text => String(text).toLowerCase().includes(needle));
+                }
+                return true;
+            });
+        }
+    };
+
+    /**
+     * 成员统计 - 从多份日报中汇总每位成员的排行、问答、资源和熬夜冠军记录
+     * 名字按原样精确匹配，改过名的成员通过别名表 {旧名字: 现名字} 合并
+     */
+    const MemberStats = {
+        /**
+         * 上榜的名次范围（activityRanking 前 N 名）
+         */
+        TOP_RANK: 5,
+
+        /**
+         * 排行榜类别：从成员记录中取出每次贡献 [{id, date, value}]
+         */
+        CATEGORIES: {
+            messages: member => member.days.map(day => ({ id: day.id, date: day.date, value: day.messageCount })),
+            topDays: member => member.days.map(day => ({ id: day.id, date: day.date, value: 1 })),
+            answers: member => member.answers.map(item => ({ id: item.id, date: item.date, value: 1 })),
+            resources: member => member.resources.map(item => ({ id: item.id, date: item.date, value: 1 })),
+            nightOwls: member => member.nightOwls.map(item => ({ id: item.id, date: item.date, value: 1 }))
+        },
+
+        /**
+         * 成就：累计值（或连续上榜天数 streak）达到阈值时获得
+         */
+        ACHIEVEMENTS: [
+            { id: 'messages1000', icon: '💬', metric: 'messages', threshold: 1000 },
+            { id: 'topDays30', icon: '🏅', metric: 'topDays', threshold: 30 },
+            { id: 'streak7', icon: '🔥', metric: 'streak', threshold: 7 },
+            { id: 'answers10', icon: '🎓', metric: 'answers', threshold: 10 },
+            { id: 'resources10', icon: '📚', metric: 'resources', threshold: 10 },
+            { id: 'nightOwls5', icon: '🦉', metric: 'nightOwls', threshold: 5 }
+        ],
+
+        /**
+         * 将名字解析为别名表中的现名字（支持多次改名 a → b → c）
+         * @param {string} name - 名字
+         * @param {object} aliases - 别名表 {旧名字: 现名字}
+         * @returns {string} 现名字
+         */
+        resolveName(name, aliases = {}) {
+            let current = name;
+            const seen = new Set();
+            while (Object.prototype.hasOwnProperty.call(aliases, current) && !seen.has(current)) {
+                seen.add(current);
+                current = aliases[current];
+            }
+            return current;
+        },
+
+        /**
+         * 汇总所有成员的原始记录
+         * @param {Array} entries - [{id, date, reportData}, ...]
+         * @param {object} aliases - 别名表 {旧名字: 现名字}
+         * @returns {Map<string, object>} 现名字 → {name, names, days, questions, answers, resources, nightOwls}
+         */
+        collect(entries, aliases = {}) {
+            const members = new Map();
+            const get = (rawName) => {
+                if (typeof rawName !== 'string' || rawName === '') return null;
+                const name = this.resolveName(rawName, aliases);
+                if (!members.has(name)) {
+                    members.set(name, { name, names: new Set(), days: [], questions: [], answers: [], resources: [], nightOwls: [] });
+                }
+                const member = members.get(name);
+                member.names.add(rawName);
+                return member;
+            };
+
+            entries.forEach(({ id, date, reportData }) => {
+                const report = reportData || {};
+
+                (report.analytics?.activityRanking || []).forEach(user => {
+                    const member = get(user.name);
+                    if (member && user.rank <= this.TOP_RANK) {
+                        member.days.push({ id, date, rank: user.rank, messageCount: Number(user.messageCount) || 0, traits: user.traits || [] });
+                    }
+                });
+
+                (report.qaHighlights || []).forEach((qa, index) => {
+                    const asker = get(qa.question?.asker);
+                    if (asker) {
+                        asker.questions.push({ id, date, index, content: qa.question.content, time: qa.question.time });
+                    }
+                    const responder = get(qa.bestAnswer?.responder);
+                    if (responder) {
+                        responder.answers.push({ id, date, index, content: qa.bestAnswer.content, question: qa.question?.content, time: qa.bestAnswer.time });
+                    }
+                });
+
+                (report.sharedResources || []).forEach((res, index) => {
+                    const member = get(res.sharer);
+                    if (member) {
+                        member.resources.push({ id, date, index, title: res.title, type: res.type, url: res.url });
+                    }
+                });
+
+                const owl = report.analytics?.nightOwl;
+                const member = owl && get(owl.name);
+                if (member) {
+                    member.nightOwls.push({ id, date, title: owl.title, lastActiveTime: owl.lastActiveTime });
+                }
+            });
+
+            return members;
+        },
+
+        /**
+         * 生成成员档案
+         * @param {Array} entries - [{id, date, reportData}, ...]
+         * @param {string} name - 成员名字（可以是旧名字）
+         * @param {object} aliases - 别名表 {旧名字: 现名字}
+         * @returns {object} 档案 {name, aliases, reports, firstDate, lastDate, topDays, totalMessages, bestRank,
+         *                   averageRank, rankTrend, traits, questions, answers, resources, nightOwls}
+         */
+        profile(entries, name, aliases = {}) {
+            const resolved = this.resolveName(name, aliases);
+            const member = this.collect(entries, aliases).get(resolved)
+                || { names: new Set(), days: [], questions: [], answers: [], resources: [], nightOwls: [] };
+            const byDateDesc = (a, b) => (a.date < b.date ? 1 : (a.date > b.date ? -1 : 0));
+            const dates = entries.map(entry => entry.date).filter(Boolean).sort();
+
+            // 排名走势：按日期升序列出每份日报的名次，未上榜为 null
+            const ranks = new Map(member.days.map(day => [`${day.id}`, day.rank]));
+            const rankTrend = entries
+                .filter(entry => entry.reportData?.analytics?.activityRanking)
+                .map(entry => ({ id: entry.id, date: entry.date, rank: ranks.get(`${entry.id}`) || null }))
+                .sort((a, b) => (a.date < b.date ? -1 : (a.date > b.date ? 1 : 0)));
+
+            // 特征按出现天数排序，记录首次和最近出现的日期
+            const traits = new Map();
+            member.days.forEach(day => {
+                day.traits.forEach(trait => {
+                    const item = traits.get(trait) || { trait, count: 0, firstDate: day.date, lastDate: day.date };
+                    item.count++;
+                    if (day.date < item.firstDate) item.firstDate = day.date;
+                    if (day.date > item.lastDate) item.lastDate = day.date;
+                    traits.set(trait, item);
+                });
+            });
+
+            const ranked = member.days.map(day => day.rank);
+            return {
+                name: resolved,
+                aliases: Array.from(member.names).filter(alias => alias !== resolved),
+                reports: entries.length,
+                firstDate: dates[0] || null,
+                lastDate: dates[dates.length - 1] || null,
+                topDays: member.days.length,
+                totalMessages: member.days.reduce((sum, day) => sum + day.messageCount, 0),
+                bestRank: ranked.length > 0 ? Math.min(...ranked) : null,
+                averageRank: ranked.length > 0 ? Math.round((ranked.reduce((sum, rank) => sum + rank, 0) / ranked.length) * 10) / 10 : null,
+                rankTrend,
+                traits: Array.from(traits.values()).sort((a, b) => b.count - a.count || (a.lastDate < b.lastDate ? 1 : -1)),
+                questions: member.questions.slice().sort(byDateDesc),
+                answers: member.answers.slice().sort(byDateDesc),
+                resources: member.resources.slice().sort(byDateDesc),
+                nightOwls: member.nightOwls.slice().sort(byDateDesc),
+                achievements: this.achievements(member)
+            };
+        },
+
+        /**
+         * 按日期升序排列贡献记录
+         * @param {Array} events - [{id, date, value}, ...]
+         * @returns {Array} 排序后的新数组
+         */
+        chronological(events) {
+            return events.slice().sort((a, b) => (a.date < b.date ? -1 : (a.date > b.date ? 1 : 0)));
+        },
+
+        /**
+         * 计算成员获得的成就，earned 为达到阈值的那一天
+         * @param {object} member - collect 返回的成员记录
+         * @returns {Array} [{id, icon, metric, threshold, name, earned: {id, date}}, ...]，按获得日期降序
+         */
+        achievements(member) {
+            const earned = [];
+            this.ACHIEVEMENTS.forEach(achievement => {
+                const day = achievement.metric === 'streak'
+                    ? this.streakDay(member, achievement.threshold)
+                    : this.thresholdDay(this.CATEGORIES[achievement.metric](member), achievement.threshold);
+                if (day) {
+                    earned.push({ ...achievement, name: member.name, earned: { id: day.id, date: day.date } });
+                }
+            });
+            return earned.sort((a, b) => (a.earned.date < b.earned.date ? 1 : (a.earned.date > b.earned.date ? -1 : 0)));
+        },
+
+        /**
+         * 查找累计值首次达到阈值的记录
+         * @param {Array} events - [{id, date, value}, ...]
+         * @param {number} threshold - 阈值
+         * @returns {object|null} 达到阈值的那条记录
+         */
+        thresholdDay(events, threshold) {
+            let total = 0;
+            return this.chronological(events).find(event => {
+                total += event.value;
+                return total >= threshold;
+            }) || null;
+        },
+
+        /**
+         * 查找连续上榜天数首次达到阈值的那一天（按自然日连续计算）
+         * @param {object} member - collect 返回的成员记录
+         * @param {number} threshold - 连续天数
+         * @returns {object|null} 达到阈值的那天 {id, date}
+         */
+        streakDay(member, threshold) {
+            let streak = 0;
+            let previous = null;
+            return this.chronological(member.days).find(day => {
+                const date = ReportAggregator.parseDate(day.date);
+                if (!date) return false;
+                if (previous && Math.round((date - previous) / 86400000) === 0) return false;
+
+                streak = previous && Math.round((date - previous) / 86400000) === 1 ? streak + 1 : 1;
+                previous = date;
+                return streak >= threshold;
+            }) || null;
+        },
+
+        /**
+         * 生成累计排行榜和成就列表
+         * @param {Array} entries - [{id, date, reportData}, ...]
+         * @param {object} options - {aliases, period: WEEK/MONTH/ALL, periodKey, limit}
+         *                           排行榜只统计 periodKey 所在周期的日报，成就始终按全部日报计算
+         * @returns {object} {boards: {类别: [{rank, name, value, best: {id, date, value}}]}, achievements: [...]}
+         */
+        leaderboards(entries, { aliases = {}, period = 'ALL', periodKey = '', limit = 10 } = {}) {
+            const members = this.collect(entries, aliases);
+            const inPeriod = event => period === 'ALL' || ReportAggregator.getPeriodKey(event.date, period) === periodKey;
+
+            const boards = {};
+            Object.entries(this.CATEGORIES).forEach(([category, getEvents]) => {
+                const rows = [];
+                members.forEach(member => {
+                    const events = getEvents(member).filter(inPeriod);
+                    if (events.length === 0) return;
+
+                    // 按日汇总，贡献最多的一天作为链接目标（相同时取较近的一天）
+                    const byDay = new Map();
+                    events.forEach(event => {
+                        const day = byDay.get(event.date) || { id: event.id, date: event.date, value: 0 };
+                        day.value += event.value;
+                        byDay.set(event.date, day);
+                    });
+                    const best = Array.from(byDay.values())
+                        .reduce((top, day) => (day.value > top.value || (day.value === top.value && day.date > top.date) ? day : top));
+
+                    rows.push({ name: member.name, value: events.reduce((sum, event) => sum + event.value, 0), best });
+                });
+
+                // 并列时名次相同（1, 1, 3）
+                rows.sort((a, b) => b.value - a.value || a.name.localeCompare(b.name));
+                rows.forEach((row, index) => {
+                    row.rank = index > 0 && rows[index - 1].value === row.value ? rows[index - 1].rank : index + 1;
+                });
+                boards[category] = rows.slice(0, limit);
+            });
+
+            const achievements = Array.from(members.values())
+                .flatMap(member => this.achievements(member))
+                .sort((a, b) => (a.earned.date < b.earned.date ? 1 : (a.earned.date > b.earned.date ? -1 : 0)));
+
+            return { boards, achievements };
+        }
+    };
+
+    /**
+     * 活跃热力图 - 将每日活跃数据排列为按周分列的日历网格（周一为每列第一天）
+     */
+    const ActivityHeatmap = {
+        /**
+         * 颜色等级数（不含无消息的 0 级）
+         */
+        LEVELS: 4,
+
+        /**
+         * 计算颜色等级
+         * @param {number} value - 消息数
+         * @param {number} max - 最大消息数
+         * @returns {number} 0 ~ LEVELS
+         */
+        level(value, max) {
+            if (!value || !max) return 0;
+            return Math.min(this.LEVELS, Math.ceil((value / max) * this.LEVELS));
+        },
+
+        /**
+         * 生成网格数据
+         * @param {Array} days - [{id, date, totalMessages, activeUsers, topTopic}, ...]
+         * @param {object} options - {endDate: 结束日期（默认为最近一天）, weeks: 最多显示的周数}
+         * @returns {{weeks: Array, months: Array, max: number}} weeks 为每周 7 格（无日报为 null），months 为 [{column, date}]
+         */
+        build(days, options = {}) {
+            const byDate = new Map();
+            days.forEach(day => {
+                const key = ReportAggregator.getPeriodKey(day.date, 'DAY');
+                if (key) byDate.set(key, day);
+            });
+
+            const dates = Array.from(byDate.keys()).sort();
+            const end = ReportAggregator.parseDate(options.endDate || dates[dates.length - 1]);
+            if (!end) {
+                return { weeks: [], months: [], max: 0 };
+            }
+
+            let start = ReportAggregator.parseDate(ReportAggregator.getPeriodKey(dates[0] || end, 'WEEK'));
+            if (options.weeks > 0) {
+                const earliest = ReportAggregator.parseDate(ReportAggregator.getPeriodKey(end, 'WEEK'));
+                earliest.setDate(earliest.getDate() - (options.weeks - 1) * 7);
+                if (earliest > start) start = earliest;
+            }
+
+            const weeks = [];
+            const months = [];
+            const cursor = new Date(start);
+            while (cursor <= end) {
+                const week = [];
+                for (let weekday = 0; weekday < 7; weekday++) {
+                    const key = Utils.formatDate(cursor);
+                    if (cursor <= end && (cursor.getDate() === 1 || (weeks.length === 0 && weekday === 0))) {
+                        months.push({ column: weeks.length, date: new Date(cursor) });
+                    }
+                    week.push(cursor <= end && byDate.has(key) ? { ...byDate.get(key), date: key } : null);
+                    cursor.setDate(cursor.getDate() + 1);
+                }
+                weeks.push(week);
+            }
+
+            const max = Math.max(0, ...weeks.flat().filter(Boolean).map(day => day.totalMessages || 0));
+            return { weeks, months, max };
+        }
+    };
+
+    /**
+     * HTML 模板集合
+     * 纯字符串模板，不依赖 DOM，浏览器渲染和 Node 静态渲染共用
+     */
+    const Templates = {
+        /**
+         * 报告头部
+         * @param {object} info - 报告基本信息
+         * @param {object} dbFields - 数据库字段（包含reportDate和createdAt）
+         * @param {object} comparison - 对比结果（可选）
+         * @returns {SafeHtml} HTML 片段
+         */
+        header(info, dbFields, comparison) {
+            const reportDate = Utils.formatReportDate(info, dbFields);
+            const reportType = I18n.term('reportType', info.reportType);
+            const delta = key => (comparison ? this.delta(comparison[key].delta) : '');
+
+            return html`
+                <div class="report-type">${reportType}</div>
+                <h1>${I18n.t('header.title', { group: info.groupName, type: reportType })}</h1>
+                <p class="date">${reportDate}</p>
+                <div class="meta-info">
+                    <div class="meta-info-item">
+                        <span class="meta-icon">💬</span>
+                        <span>${I18n.t('header.totalMessages')}<strong>${info.totalMessages}</strong>${delta('totalMessages')}</span>
+                    </div>
+                    <div class="meta-info-item">
+                        <span class="meta-icon">👥</span>
+                        <span>${I18n.t('header.activeUsers')}<strong>${info.activeUsers}</strong>${delta('activeUsers')}</span>
+                    </div>
+                    <div class="meta-info-item">
+                        <span class="meta-icon">⏱️</span>
+                        <span>${I18n.t('header.period')}<strong>${I18n.t('header.days', { count: info.dayCount || 1 })}</strong></span>
+                    </div>
+                </div>
+                ${comparison ? html`<p class="compare-banner">${I18n.t('header.baseline', { label: comparison.baselineLabel })}</p>` : ''}
+            `;
+        },
+
+        /**
+         * 数值变化标记
+         * @param {number} value - 变化量
+         * @returns {SafeHtml} HTML 片段
+         */
+        delta(value) {
+            if (value > 0) return html`<span class="delta delta-up">▲${value}</span>`;
+            if (value < 0) return html`<span class="delta delta-down">▼${-value}</span>`;
+            return html`<span class="delta delta-same">${I18n.t('delta.same')}</span>`;
+        },
+
+        /**
+         * 排名变化标记
+         * @param {object} move - 排名变化 {type, steps}
+         * @returns {SafeHtml} HTML 片段
+         */
+        rankMove(move) {
+            switch (move.type) {
+                case 'new':
+                    return html`<span class="rank-move rank-new">NEW</span>`;
+                case 'up':
+                    return html`<span class="rank-move rank-up">↑${move.steps}</span>`;
+                case 'down':
+                    return html`<span class="rank-move rank-down">↓${move.steps}</span>`;
+                default:
+                    return html`<span class="rank-move rank-same">–</span>`;
+            }
+        },
+
+        /**
+         * 热点话题
+         * @param {Array} topics - 热点话题数组
+         * @returns {SafeHtml} HTML 片段
+         */
+        hotTopics(topics) {
+            if (!topics || topics.length === 0) {
+                return html`<p>${I18n.t('hotTopics.empty')}</p>`;
+            }
+
+            const maxMessages = Math.max(...topics.map(t => t.stats?.messageCount || 0), 1);
+
+            return Utils.joinHtml(topics.map((topic, index) => {
+                const heat = Math.round((topic.stats.messageCount / maxMessages) * 100);
+                return html`
+                    <div class="card topic-card" data-anchor="hotTopics-${index}">
+                        <div class="topic-card-header">
+                            <h3>${topic.title}</h3>
+                            <div class="topic-heat">🔥 <span>${heat}</span></div>
+                        </div>
+                        <span class="badge badge-primary">${topic.category}</span>
+                        <p class="topic-summary">${topic.summary}</p>
+                        <div class="deep-comment">
+                            <div class="comment-header"><span class="comment-icon">🎯</span><span class="comment-label">${I18n.t('hotTopics.comment')}</span></div>
+                            <div class="comment-content"><p class="comment-text">${topic.deepComment}</p></div>
+                        </div>
+                        <div class="topic-keywords">
+                            ${Utils.joinHtml(topic.keywords.map(kw => html`<span class="keyword">#${kw}</span>`), ' ')}
+                        </div>
+                        <div class="topic-stats">
+                            <span class="badge badge-info">💬 ${I18n.t('hotTopics.messages', { count: topic.stats.messageCount })}</span>
+                            <span class="badge badge-info">👥 ${I18n.t('hotTopics.participants', { count: topic.stats.participantCount })}</span>
+                        </div>
+                    </div>
+                `;
+            }));
+        },
+
+        /**
+         * 资源分享
+         * @param {Array} resources - 资源分享数组
+         * @returns {SafeHtml} HTML 片段
+         */
+        sharedResources(resources) {
+            if (!resources || resources.length === 0) {
+                return html`<p>${I18n.t('sharedResources.empty')}</p>`;
+            }
+
+            return Utils.joinHtml(resources.map((res, index) => {
+                const url = Utils.safeUrl(res.url);
+                return html`
+                <div class="card tutorial-card" data-anchor="sharedResources-${index}">
+                    <span class="badge badge-primary">${res.type}</span>
+                    <h3>${res.title}</h3>
+                    <div class="tutorial-meta">
+                        <span>👤 ${this.memberName(res.sharer)}</span>
+                        <span>🕐 ${res.time}</span>
+                    </div>
+                    <p class="tutorial-summary">${res.summary}</p>
+                    ${res.keyPoints && res.keyPoints.length > 0 ? html`
+                    <div class="key-points">
+                        <h4>${I18n.t('sharedResources.keyPoints')}</h4>
+                        <ul>${res.keyPoints.map(p => html`<li>${p}</li>`)}</ul>
+                    </div>` : ''}
+                    ${url ? html`
+                    <div class="tutorial-link">
+                        <a href="${url}" target="_blank" rel="noopener noreferrer">🔗 ${I18n.t('sharedResources.viewOriginal')}</a>
+                    </div>` : ''}
+                </div>
+            `;
+            }));
+        },
+
+        /**
+         * 问答精选
+         * @param {Array} qas - 问答数组
+         * @returns {SafeHtml} HTML 片段
+         */
+        qaHighlights(qas) {
+            if (!qas || qas.length === 0) {
+                return html`<p>${I18n.t('qaHighlights.empty')}</p>`;
+            }
+
+            return Utils.joinHtml(qas.map((qa, index) => html`
+                <div class="card qa-card" data-anchor="qaHighlights-${index}">
+                    <div class="question">
+                        <div class="question-header">
+                            <span class="badge badge-info">${I18n.t('qaHighlights.question')}</span>
+                            <span class="question-time">🕐 ${qa.question.time}</span>
+                        </div>
+                        <h4>${qa.question.content}</h4>
+                        <p class="question-asker">${I18n.t('qaHighlights.asker')}${this.memberName(qa.question.asker)}</p>
+                    </div>
+                    <div class="answers">
+                        <div class="answer">
+                            <div class="answer-header">
+                                <span class="badge badge-primary">${I18n.t('qaHighlights.bestAnswer')}</span>
+                                <span class="answer-time">🕐 ${qa.bestAnswer.time}</span>
+                            </div>
+                            <p class="answer-responder">${I18n.t('qaHighlights.responder')}${this.memberName(qa.bestAnswer.responder)}</p>
+                            <div class="answer-content"><p>${qa.bestAnswer.content}</p></div>
+                        </div>
+                    </div>
+                </div>
+            `));
+        },
+
+        /**
+         * 热度分布
+         * @param {Array} hotTopics - 热点话题数组
+         * @returns {SafeHtml} HTML 片段
+         */
+        heatDistribution(hotTopics) {
+            const totalTopicMessages = hotTopics.reduce((sum, topic) => sum + (topic.stats?.messageCount || 0), 0);
+
+            if (totalTopicMessages === 0) {
+                return html`<p>${I18n.t('heatDistribution.empty')}</p>`;
+            }
+
+            return Utils.joinHtml(hotTopics.map(topic => {
+                const percentage = ((topic.stats.messageCount / totalTopicMessages) * 100).toFixed(1);
+                return html`
+                    <div class="heat-item">
+                        <div class="heat-header">
+                            <span class="heat-topic">${topic.title}</span>
+                        </div>
+                        <div class="heat-bar"><div class="heat-fill" style="width: ${percentage}%;"></div></div>
+                        <div class="heat-stats-row">
+                            <div class="heat-stats">
+                                <span>${I18n.t('heatDistribution.messages', { count: topic.stats.messageCount })}</span>
+                                <span>${I18n.t('heatDistribution.participants', { count: topic.stats.participantCount })}</span>
+                            </div>
+                            <span class="heat-percentage">${percentage}%</span>
+                        </div>
+                    </div>
+                `;
+            }));
+        },
+
+        /**
+         * 可点击的成员名字（页面据 data-member 打开成员档案）
+         * @param {string} name - 成员名字
+         * @returns {SafeHtml} HTML 片段
+         */
+        memberName(name) {
+            return name ? html`<button type="button" class="member-link" data-member="${name}" title="${I18n.t('member.open', { name })}">${name}</button>` : Utils.raw('');
+        },
+
+        /**
+         * 活跃度排行
+         * @param {Array} ranking - 排行数据
+         * @param {object} comparison - 对比结果（可选，显示排名变化）
+         * @returns {SafeHtml} HTML 片段
+         */
+        activityRanking(ranking, comparison) {
+            if (!ranking || ranking.length === 0) {
+                return html`<p>${I18n.t('activityRanking.empty')}</p>`;
+            }
+
+            return Utils.joinHtml(ranking.map(user => html`
+                <div class="participant-card">
+                    <div class="participant-rank rank-${user.rank}">${user.rank}</div>
+                    <div class="participant-info">
+                        <div class="participant-name">${this.memberName(user.name)}${comparison ? this.rankMove(ReportComparator.rankMove(comparison, user)) : ''}</div>
+                        <div class="participant-stats"><span>💬 ${I18n.t('activityRanking.messages', { count: user.messageCount })}</span></div>
+                        <div class="participant-traits">
+                            ${Utils.joinHtml(user.traits.map(trait => html`<span class="badge badge-secondary">${trait}</span>`), ' ')}
+                        </div>
+                    </div>
+                </div>
+            `));
+        },
+
+        /**
+         * 时段活跃度（SVG 柱状图，附带供读屏使用的隐藏数据表）
+         * 颜色均来自主题 CSS 变量，切换主题或配色时无需重新渲染
+         * @param {Array} hourlyActivity - 每小时活跃度数据
+         * @param {object} comparison - 对比结果（可选，显示对比基准刻度）
+         * @param {object} average - 近几天的平均值 {days, hours: [{hour, count}]}（可选，显示平均折线）
+         * @param {number} columns - 横轴可容纳的标签数（24/16/12/8），决定每隔几个小时显示一个标签
+         * @returns {SafeHtml} HTML 片段
+         */
+        hourlyActivity(hourlyActivity, comparison, average, columns = 24) {
+            if (!hourlyActivity || hourlyActivity.length === 0) {
+                return html`<p>${I18n.t('hourlyActivity.empty')}</p>`;
+            }
+
+            const { SLOT, HEIGHT, PADDING } = CONFIG.HOURLY_CHART;
+            const key = hour => String(hour).padStart(2, '0');
+            const hourLabel = hour => `${key(hour)}:00`;
+            const averages = new Map((average?.hours || []).map(item => [key(item.hour), Number(item.count) || 0]));
+            const hasAverage = averages.size > 0;
+
+            const points = hourlyActivity.map(item => ({
+                hour: item.hour,
+                count: Number(item.count) || 0,
+                previous: comparison ? comparison.previousHours[key(item.hour)] || 0 : null,
+                average: hasAverage ? averages.get(key(item.hour)) || 0 : null
+            }));
+
+            const max = Math.max(1, ...points.map(point => Math.max(point.count, point.previous || 0, point.average || 0)));
+            const peak = points.reduce((best, point) => (point.count > best.count ? point : best), points[0]);
+            const peakIndex = points.indexOf(peak);
+
+            const width = PADDING.left + points.length * SLOT + PADDING.right;
+            const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+            const y = value => Math.round((PADDING.top + plotHeight - (value / max) * plotHeight) * 10) / 10;
+            const slotX = index => PADDING.left + index * SLOT;
+            const labelEvery = Math.max(1, Math.ceil(points.length / columns));
+
+            const describe = point => [
+                I18n.t('hourlyActivity.tooltip', { hour: hourLabel(point.hour), count: point.count }),
+                hasAverage ? I18n.t('hourlyActivity.averageValue', { days: average.days, count: point.average }) : '',
+                comparison ? I18n.t('hourlyActivity.baseline', { count: point.previous }) : ''
+            ].filter(Boolean).join(' · ');
+
+            // 纵轴刻度：0、一半、最大值
+            const ticks = Array.from(new Set([0, Math.round(max / 2), max])).map(value => html`
+                <line class="hourly-grid" x1="${PADDING.left}" x2="${width - PADDING.right}" y1="${y(value)}" y2="${y(value)}"/>
+                <text class="hourly-axis-label" x="${PADDING.left - 6}" y="${y(value) + 4}" text-anchor="end">${value}</text>
+            `);
+
+            const bars = points.map((point, index) => {
+                const intensity = point.count / max;
+                const barHeight = Math.round(Math.max((point.count / max) * plotHeight, point.count > 0 ? 2 : 0));
+                const label = describe(point);
+                return html`
+                    <g class="hourly-bar-group${index === peakIndex ? ' is-peak' : ''}" tabindex="0" role="img" aria-label="${label}" data-tooltip="${label}">
+                        <rect class="hourly-hit" x="${slotX(index)}" y="${PADDING.top}" width="${SLOT}" height="${plotHeight}"/>
+                        <rect class="hourly-bar" x="${slotX(index) + SLOT * 0.15}" y="${PADDING.top + plotHeight - barHeight}" width="${SLOT * 0.7}" height="${barHeight}" rx="3"
+                              fill-opacity="${(CONFIG.CHART.OPACITY_MIN + intensity * CONFIG.CHART.OPACITY_MAX).toFixed(2)}"/>
+                        ${comparison ? html`<line class="hourly-baseline" x1="${slotX(index) + SLOT * 0.1}" x2="${slotX(index) + SLOT * 0.9}" y1="${y(point.previous)}" y2="${y(point.previous)}"/>` : ''}
+                    </g>
+                `;
+            });
+
+            const hourLabels = points.map((point, index) => (index % labelEvery === 0 ? html`
+                <text class="hourly-axis-label" x="${slotX(index) + SLOT / 2}" y="${HEIGHT - PADDING.bottom + 18}" text-anchor="middle">${key(point.hour)}</text>
+            ` : ''));
+
+            const averageLine = hasAverage ? html`
+                <polyline class="hourly-average" points="${points.map((point, index) => `${slotX(index) + SLOT / 2},${y(point.average)}`).join(' ')}"/>
+            ` : '';
+
+            // 峰值标注（靠近两端时改变对齐方式，避免超出画布）
+            const peakX = slotX(peakIndex) + SLOT / 2;
+            const peakAnchor = peakIndex < 2 ? 'start' : (peakIndex > points.length - 3 ? 'end' : 'middle');
+            const peakAnnotation = peak.count > 0 ? html`
+                <text class="hourly-peak-label" x="${peakX}" y="${Math.round(y(peak.count) - 8)}" text-anchor="${peakAnchor}">${I18n.t('hourlyActivity.peak', { hour: hourLabel(peak.hour), count: peak.count })}</text>
+            ` : '';
+
+            const legend = html`
+                <div class="hourly-legend">
+                    <span class="hourly-legend-item"><span class="hourly-swatch hourly-swatch-bar"></span>${I18n.t('hourlyActivity.messageCount')}</span>
+                    ${hasAverage ? html`
+                    <button type="button" class="hourly-legend-item hourly-average-toggle" aria-pressed="true">
+                        <span class="hourly-swatch hourly-swatch-average"></span>${I18n.t('hourlyActivity.average', { days: average.days })}
+                    </button>` : ''}
+                    ${comparison ? html`<span class="hourly-legend-item"><span class="hourly-swatch hourly-swatch-baseline"></span>${I18n.t('hourlyActivity.baselineLegend')}</span>` : ''}
+                </div>
+            `;
+
+            const table = html`
+                <table class="visually-hidden">
+                    <caption>${I18n.t('section.hourlyActivity')}</caption>
+                    <thead>
+                        <tr>
+                            <th scope="col">${I18n.t('hourlyActivity.hour')}</th>
+                            <th scope="col">${I18n.t('hourlyActivity.messageCount')}</th>
+                            ${hasAverage ? html`<th scope="col">${I18n.t('hourlyActivity.average', { days: average.days })}</th>` : ''}
+                            ${comparison ? html`<th scope="col">${I18n.t('hourlyActivity.baselineLegend')}</th>` : ''}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${points.map(point => html`
+                        <tr>
+                            <th scope="row">${hourLabel(point.hour)}</th>
+                            <td>${point.count}</td>
+                            ${hasAverage ? html`<td>${point.average}</td>` : ''}
+                            ${comparison ? html`<td>${point.previous}</td>` : ''}
+                        </tr>`)}
+                    </tbody>
+                </table>
+            `;
+
+            return html`
+                <figure class="hourly-chart">
+                    <svg class="hourly-chart-svg" viewBox="0 0 ${width} ${HEIGHT}" role="group"
+                         aria-label="${I18n.t('hourlyActivity.chartLabel', { hour: hourLabel(peak.hour), count: peak.count })}">
+                        ${ticks}
+                        ${bars}
+                        ${averageLine}
+                        ${peakAnnotation}
+                        ${hourLabels}
+                    </svg>
+                    ${legend}
+                    ${table}
+                </figure>
+            `;
+        },
+
+        /**
+         * 活跃热力图（跨日报，每格一天）
+         * @param {Array} days - 每日活跃数据 [{id, date, totalMessages, activeUsers, topTopic}, ...]
+         * @param {object} options - {endDate, weeks}
+         * @returns {SafeHtml} HTML 片段
+         */
+        activityHeatmap(days, options) {
+            const { weeks, months, max } = ActivityHeatmap.build(days || [], options);
+            if (weeks.length === 0) {
+                return html`<p>${I18n.t('heatmap.empty')}</p>`;
+            }
+
+            // 同一列只保留一个月份标签，首列标签与下月相邻时省略
+            const monthLabels = months
+                .filter((month, index) => !months[index + 1] || months[index + 1].column - month.column >= 2)
+                .map(month => html`<span class="heatmap-month" style="grid-column: ${month.column + 1};">${I18n.formatDate(month.date, { month: 'short' })}</span>`);
+            // 2024-01-01 为周一，只标注一、三、五
+            const weekdayLabels = Array.from({ length: 7 }, (_, i) =>
+                html`<span class="heatmap-weekday">${i % 2 === 0 && i < 6 ? I18n.formatDate(new Date(2024, 0, 1 + i), { weekday: 'short' }) : ''}</span>`
+            );
+
+            const cells = weeks.flat().map(day => {
+                if (!day) {
+                    return html`<span class="heatmap-cell heatmap-gap"></span>`;
+                }
+                const tooltip = [
+                    I18n.t('heatmap.tooltip', {
+                        date: I18n.formatDate(ReportAggregator.parseDate(day.date)),
+                        messages: day.totalMessages || 0,
+                        users: day.activeUsers || 0
+                    }),
+                    day.topTopic ? I18n.t('heatmap.topTopic', { topic: day.topTopic }) : ''
+                ].filter(Boolean).join('\n');
+                return html`<button class="heatmap-cell heatmap-level-${ActivityHeatmap.level(day.totalMessages, max)}" data-date="${day.date}" ${day.id !== undefined ? html`data-report-id="${day.id}"` : ''} title="${tooltip}" aria-label="${tooltip.replace(/\n/g, ' ')}"></button>`;
+            });
+
+            const legend = Array.from({ length: ActivityHeatmap.LEVELS + 1 }, (_, level) =>
+                html`<span class="heatmap-cell heatmap-level-${level}"></span>`
+            );
+
+            return html`
+                <div class="heatmap-scroll">
+                    <div class="heatmap" style="--heatmap-weeks: ${weeks.length};">
+                        <div class="heatmap-months">${monthLabels}</div>
+                        <div class="heatmap-weekdays">${weekdayLabels}</div>
+                        <div class="heatmap-grid">${cells}</div>
+                    </div>
+                </div>
+                <div class="heatmap-legend">
+                    <span>${I18n.t('heatmap.less')}</span>${legend}<span>${I18n.t('heatmap.more')}</span>
+                </div>
+            `;
+        },
+
+        /**
+         * 熬夜冠军
+         * @param {object} nightOwl - 熬夜冠军数据
+         * @returns {SafeHtml} HTML 片段
+         */
+        nightOwl(nightOwl) {
+            if (!nightOwl || !nightOwl.name) {
+                return '';
+            }
+
+            return html`
+                <h3>${I18n.t('nightOwl.title')}</h3>
+                <div class="night-owl-card card">
+                    <div class="owl-content">
+                        <div class="owl-crown">👑</div>
+                        <div class="owl-info">
+                            <h4>${this.memberName(nightOwl.name)}</h4>
+                            <p class="owl-title">"${nightOwl.title}"</p>
+                            <div class="owl-stats">
+                                <span>🕐 ${I18n.t('nightOwl.lastActive')}${nightOwl.lastActiveTime}</span>
+                                ${nightOwl.crowns > 1 ? html`<span>👑 ${I18n.t('nightOwl.crowns', { count: nightOwl.crowns })}</span>` : ''}
+                            </div>
+                            <p class="owl-quote">"${nightOwl.lastMessage}"</p>
+                        </div>
+                    </div>
+                </div>
+            `;
+        },
+
+        /**
+         * 静态词云（网格布局，不依赖 canvas 和 wordcloud2.js）
+         * @param {Array} words - 词云数据 [{word: string, weight: number}, ...]
+         * @param {string} seed - 报告种子（见 WordCloudStyle.seed），决定每个词的颜色
+         * @returns {SafeHtml} HTML 片段
+         */
+        wordCloud(words, seed = '') {
+            if (!words || words.length === 0) {
+                return html`<p>${I18n.t('wordCloud.empty')}</p>`;
+            }
+
+            const maxWeight = words[0].weight;
+            const minWeight = words[words.length - 1].weight;
+
+            // 使用简单网格布局避免重叠
+            const gridSize = Math.ceil(Math.sqrt(words.length));
+
+            const cloudHTML = words.map((word, index) => {
+                const normalizedWeight = minWeight === maxWeight ? 1 : (word.weight - minWeight) / (maxWeight - minWeight);
+                const size = CONFIG.WORD_CLOUD.MIN_SIZE + normalizedWeight * (CONFIG.WORD_CLOUD.MAX_SIZE - CONFIG.WORD_CLOUD.MIN_SIZE);
+                // 同时写入两套配色，由样式表按 data-theme 选择，切换主题无需重新渲染
+                const colors = `--cloud-word-light: ${WordCloudStyle.color(word.word, seed, 'light')}; --cloud-word-dark: ${WordCloudStyle.color(word.word, seed, 'dark')};`;
+
+                // 网格布局
+                const row = Math.floor(index / gridSize);
+                const col = index % gridSize;
+                const x = (col / gridSize) * 80 + 10;
+                const y = (row / gridSize) * 80 + 10;
+
+                return html`<span class="cloud-word" data-word="${word.word}" style="font-size: ${size}px; ${colors} position: absolute; left: ${x}%; top: ${y}%;">${word.word}</span>`;
+            });
+
+            return html`<div class="cloud-static" style="position: relative; height: ${CONFIG.WORD_CLOUD.HEIGHT}px;">${cloudHTML}</div>`;
+        },
+
+        /**
+         * 词云变化（新出现和消失的词）
+         * @param {object} comparison - 对比结果
+         * @returns {SafeHtml} HTML 片段
+         */
+        wordDiff(comparison) {
+            if (!comparison) {
+                return '';
+            }
+
+            const words = (list, className) => (list.length > 0
+                ? Utils.joinHtml(list.map(word => html`<span class="keyword ${className}">${word}</span>`), ' ')
+                : html`<span class="word-diff-empty">${I18n.t('wordCloud.none')}</span>`);
+
+            return html`
+                <div class="word-diff">
+                    <div class="word-diff-row"><span class="word-diff-label">${I18n.t('wordCloud.added')}</span>${words(comparison.addedWords, 'word-added')}</div>
+                    <div class="word-diff-row"><span class="word-diff-label">${I18n.t('wordCloud.dropped')}</span>${words(comparison.droppedWords, 'word-dropped')}</div>
+                </div>
+            `;
+        },
+
+        /**
+         * 总结标题
+         * @param {object} info - 报告信息
+         * @returns {string} 标题文本（未转义）
+         */
+        summaryTitle(info) {
+            return info?.dateRange ? I18n.t('summary.titleWithRange', { range: info.dateRange }) : I18n.t('summary.title');
+        },
+
+        /**
+         * 报告总结
+         * @param {object} summary - 总结数据
+         * @returns {SafeHtml} HTML 片段
+         */
+        summary(summary) {
+            // 安全处理 insights 数组
+            const insightsHTML = summary.insights.map(item => {
+                const { prefix, suffix } = Utils.safeSplit(item, '：');
+                if (prefix) {
+                    return html`<li><strong>${prefix}：</strong>${suffix}</li>`;
+                }
+                return html`<li>${item}</li>`;
+            });
+
+            return html`
+                <h3>${I18n.t('summary.insights')}</h3>
+                <ul>${insightsHTML}</ul>
+                <h3>${I18n.t('summary.trends')}</h3>
+                <p>${summary.trends}</p>
+                <h3>${I18n.t('summary.suggestions')}</h3>
+                <p>${summary.suggestions}</p>
+            `;
+        },
+
+        /**
+         * 页脚
+         * @param {object} info - 报告信息
+         * @param {object} dbFields - 数据库字段（包含reportDate和createdAt）
+         * @returns {SafeHtml} HTML 片段
+         */
+        footer(info, dbFields) {
+            // 使用数据库的created_at字段，如果不存在则使用当前时间
+            const generationTime = dbFields?.createdAt
+                ? Utils.formatDateTime(new Date(dbFields.createdAt))
+                : Utils.formatDateTime(new Date());
+
+            // 使用数据库的report_date字段作为统计周期，如果不存在则使用info.dateRange
+            const reportDate = Utils.formatReportDate(info, dbFields);
+
+            return html`
+                <div class="footer-info">
+                    <span>📊 ${I18n.t('footer.source')}${info.groupName}</span>
+                    <span>📅 ${I18n.t('footer.period')}${reportDate}</span>
+                    <span>🕐 ${I18n.t('footer.generatedAt')}${generationTime}</span>
+                </div>
+                <p class="disclaimer">
+                    ${I18n.t('footer.disclaimer')}
+                </p>
+            `;
+        },
+
+        /**
+         * "该部分不可用"提示卡片（数据校验或渲染失败时使用）
+         * @param {string} label - 版块名称
+         * @returns {SafeHtml} HTML 片段
+         */
+        unavailable(label) {
+            return html`
+                <div class="card section-unavailable">
+                    <span class="section-unavailable-icon">⚠️</span>
+                    <p>${I18n.t('section.unavailable', { label })}</p>
+                </div>
+            `;
+        },
+
+        /**
+         * 投资风险提示
+         * @returns {SafeHtml} HTML 片段
+         */
+        riskDisclaimer() {
+            return html`
+                <div class="risk-disclaimer">
+                    <div class="disclaimer-icon">⚠️</div>
+                    <div class="disclaimer-content">
+                        <h3 class="disclaimer-title">${I18n.t('risk.title')}</h3>
+                        <p class="disclaimer-text">
+                            ${Utils.raw(I18n.t('risk.source'))}
+                        </p>
+                        <p class="disclaimer-text">
+                            ${Utils.raw(I18n.t('risk.warning'))}
+                        </p>
+                        <p class="disclaimer-highlight">
+                            <strong>${I18n.t('risk.highlight')}</strong>
+                        </p>
+                    </div>
+                </div>
+            `;
+        },
+
+        /**
+         * 自定义版块的默认外层结构
+         * @param {string} name - 版块名称
+         * @param {string} title - 版块标题（可为空）
+         * @param {string} containerId - 容器ID
+         * @param {SafeHtml} content - 容器内容
+         * @returns {SafeHtml} HTML 片段
+         */
+        customSection(name, title, containerId, content) {
+            return html`
+                <section class="custom-section" data-section="${name}">
+                    ${title ? html`<h2>${title}</h2>` : ''}
+                    <div id="${containerId}">${content}</div>
+                </section>
+            `;
+        },
+
+        /**
+         * 独立 HTML 文档（无需加载任何脚本）
+         * @param {string} body - .container 内的 HTML（原样输出）
+         * @param {object} options - 文档选项
+         * @param {string} options.title - 页面标题
+         * @param {string} options.stylesheet - 样式表地址
+         * @param {string} options.theme - 主题（'light' 或 'dark'）
+         * @returns {SafeHtml} 完整的 HTML 文档
+         */
+        document(body, { title, stylesheet, theme }) {
+            return html`<!DOCTYPE html>
+<html lang="${I18n.getLocale()}" data-theme="${theme}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title}</title>
+    <link rel="stylesheet" href="${stylesheet}">
+</head>
+<body>
+    <div class="container">${Utils.raw(body)}</div>
+</body>
+</html>
+`;
+        }
+    };
+
+    /**
+     * Markdown 模板集合 - 用于导出纯文本日报
+     */
+    const MarkdownTemplates = {
+        /**
+         * 行内文本：合并换行和多余空白
+         * @param {*} text - 文本
+         * @returns {string} 单行文本
+         */
+        inline(text) {
+            if (text === undefined || text === null) {
+                return '';
+            }
+            return String(text).replace(/\s*\n\s*/g, ' ').trim();
+        },
+
+        /**
+         * 表格单元格：额外转义竖线
+         * @param {*} text - 文本
+         * @returns {string} 单元格文本
+         */
+        cell(text) {
+            return this.inline(text).replace(/\|/g, '\\|');
+        },
+
+        /**
+         * 链接（仅 http/https 链接输出为可点击链接）
+         * @param {string} label - 链接文字
+         * @param {string} url - 链接地址
+         * @returns {string} Markdown 链接或空字符串
+         */
+        link(label, url) {
+            if (!Utils.isHttpUrl(url)) {
+                return '';
+            }
+            return `[${label.replace(/[[\]]/g, '\\$&')}](${String(url).replace(/[()\s]/g, encodeURIComponent)})`;
+        },
+
+        /**
+         * 报告头部及关键数据
+         * @param {object} info - 报告基本信息
+         * @param {object} dbFields - 数据库字段
+         * @param {object} comparison - 对比结果（可选）
+         * @returns {string} Markdown 字符串
+         */
+        header(info, dbFields, comparison) {
+            const delta = key => {
+                if (!comparison) return '';
+                const value = comparison[key].delta;
+                return ` (${value === 0 ? I18n.t('delta.same') : `${value > 0 ? '+' : ''}${value}`})`;
+            };
+            const title = I18n.t('header.title', { group: info.groupName, type: I18n.term('reportType', info.reportType) });
+            return [
+                `# ${this.inline(title)}`,
+                '',
+                `> 📅 ${this.inline(Utils.formatReportDate(info, dbFields))}`,
+                '',
+                `- 💬 ${I18n.t('header.totalMessages')}**${info.totalMessages}**${delta('totalMessages')}`,
+                `- 👥 ${I18n.t('header.activeUsers')}**${info.activeUsers}**${delta('activeUsers')}`,
+                `- ⏱️ ${I18n.t('header.period')}**${I18n.t('header.days', { count: info.dayCount || 1 })}**`
+            ].join('\n');
+        },
+
+        /**
+         * 热点话题
+         * @param {Array} topics - 热点话题数组
+         * @returns {string} Markdown 字符串
+         */
+        hotTopics(topics) {
+            const heading = `## ${I18n.t('section.hotTopics.title')}`;
+            if (!topics || topics.length === 0) {
+                return `${heading}\n\n${I18n.t('hotTopics.empty')}`;
+            }
+            return [heading, ...topics.map((topic, index) => [
+                `### ${index + 1}. ${this.inline(topic.title)}`,
+                '',
+                `\`${this.inline(topic.category)}\` · 💬 ${I18n.t('hotTopics.messages', { count: topic.stats.messageCount })} · 👥 ${I18n.t('hotTopics.participants', { count: topic.stats.participantCount })}`,
+                '',
+                this.inline(topic.summary),
+                '',
+                `> 🎯 ${this.inline(topic.deepComment)}`,
+                '',
+                `${I18n.t('hotTopics.keywords')}${topic.keywords.map(kw => `#${this.inline(kw)}`).join(' ')}`
+            ].join('\n'))].join('\n\n');
+        },
+
+        /**
+         * 资源分享
+         * @param {Array} resources - 资源分享数组
+         * @returns {string} Markdown 字符串
+         */
+        sharedResources(resources) {
+            const heading = `## ${I18n.t('section.sharedResources.title')}`;
+            if (!resources || resources.length === 0) {
+                return `${heading}\n\n${I18n.t('sharedResources.empty')}`;
+            }
+            return [heading, ...resources.map(res => {
+                const link = this.link(I18n.t('sharedResources.viewOriginal'), res.url);
+                return [
+                    `### ${this.inline(res.title)}`,
+                    '',
+                    `\`${this.inline(res.type)}\` · 👤 ${this.inline(res.sharer)} · 🕐 ${this.inline(res.time)}`,
+                    '',
+                    this.inline(res.summary),
+                    ...(res.keyPoints && res.keyPoints.length > 0 ? ['', ...res.keyPoints.map(p => `- ${this.inline(p)}`)] : []),
+                    ...(link ? ['', `🔗 ${link}`] : [])
+                ].join('\n');
+            })].join('\n\n');
+        },
+
+        /**
+         * 问答精选
+         * @param {Array} qas - 问答数组
+         * @returns {string} Markdown 字符串
+         */
+        qaHighlights(qas) {
+            const heading = `## ${I18n.t('section.qaHighlights.title')}`;
+            if (!qas || qas.length === 0) {
+                return `${heading}\n\n${I18n.t('qaHighlights.empty')}`;
+            }
+            return [heading, ...qas.map(qa => [
+                `**Q（${this.inline(qa.question.asker)} · ${this.inline(qa.question.time)}）：** ${this.inline(qa.question.content)}`,
+                '',
+                `**A（${this.inline(qa.bestAnswer.responder)} · ${this.inline(qa.bestAnswer.time)}）：** ${this.inline(qa.bestAnswer.content)}`
+            ].join('\n'))].join('\n\n');
+        },
+
+        /**
+         * 活跃度排行（前五名）
+         * @param {Array} ranking - 排行数据
+         * @returns {string} Markdown 字符串
+         */
+        activityRanking(ranking) {
+            const heading = `### ${I18n.t('section.activityRanking.title')}`;
+            if (!ranking || ranking.length === 0) {
+                return `${heading}\n\n${I18n.t('activityRanking.empty')}`;
+            }
+            const columns = ['rank', 'member', 'messageCount', 'traits'].map(key => I18n.t(`activityRanking.${key}`));
+            return [
+                heading,
+                '',
+                `| ${columns.join(' | ')} |`,
+                '| --- | --- | --- | --- |',
+                ...ranking.slice(0, 5).map(user =>
+                    `| ${user.rank} | ${this.cell(user.name)} | ${user.messageCount} | ${user.traits.map(t => this.cell(t)).join(I18n.t('punct.listSeparator'))} |`)
+            ].join('\n');
+        },
+
+        /**
+         * 时段活跃度表格
+         * @param {Array} hourlyActivity - 每小时活跃度数据
+         * @returns {string} Markdown 字符串
+         */
+        hourlyActivity(hourlyActivity) {
+            const heading = `### ${I18n.t('section.hourlyActivity.title')}`;
+            if (!hourlyActivity || hourlyActivity.length === 0) {
+                return `${heading}\n\n${I18n.t('hourlyActivity.empty')}`;
+            }
+            return [
+                heading,
+                '',
+                `| ${I18n.t('hourlyActivity.hour')} | ${hourlyActivity.map(h => this.cell(h.hour)).join(' | ')} |`,
+                `| --- | ${hourlyActivity.map(() => '---').join(' | ')} |`,
+                `| ${I18n.t('hourlyActivity.messageCount')} | ${hourlyActivity.map(h => h.count).join(' | ')} |`
+            ].join('\n');
+        },
+
+        /**
+         * 熬夜冠军
+         * @param {object} nightOwl - 熬夜冠军数据
+         * @returns {string} Markdown 字符串
+         */
+        nightOwl(nightOwl) {
+            if (!nightOwl || !nightOwl.name) {
+                return '';
+            }
+            return `### ${I18n.t('nightOwl.title')}\n\n**${this.inline(nightOwl.name)}** "${this.inline(nightOwl.title)}" · ${I18n.t('nightOwl.lastActive')}${this.inline(nightOwl.lastActiveTime)}\n\n> ${this.inline(nightOwl.lastMessage)}`;
+        },
+
+        /**
+         * 热词列表
+         * @param {Array} words - 词云数据
+         * @returns {string} Markdown 字符串
+         */
+        wordCloud(words) {
+            if (!words || words.length === 0) {
+                return '';
+            }
+            return `## ${I18n.t('wordCloud.hotWords')}\n\n${words.map(item => this.inline(item.word)).join(' · ')}`;
+        },
+
+        /**
+         * 报告总结
+         * @param {object} summary - 总结数据
+         * @param {object} info - 报告信息（可选，用于标题）
+         * @returns {string} Markdown 字符串
+         */
+        summary(summary, info) {
+            return [
+                `## ${this.inline(Templates.summaryTitle(info))}`,
+                '',
+                `### ${I18n.t('summary.insights')}`,
+                '',
+                ...summary.insights.map(item => {
+                    const { prefix, suffix } = Utils.safeSplit(item, '：');
+                    return prefix ? `- **${this.inline(prefix)}：** ${this.inline(suffix)}` : `- ${this.inline(item)}`;
+                }),
+                ...(summary.trends ? ['', `### ${I18n.t('summary.trends')}`, '', this.inline(summary.trends)] : []),
+                ...(summary.suggestions ? ['', `### ${I18n.t('summary.suggestions')}`, '', this.inline(summary.suggestions)] : [])
+            ].join('\n');
+        },
+
+        /**
+         * 页脚
+         * @param {object} info - 报告信息
+         * @returns {string} Markdown 字符串
+         */
+        footer(info) {
+            return `---\n\n*📊 ${I18n.t('markdown.footer', { group: this.inline(info.groupName) })}*`;
+        },
+
+        /**
+         * 版块不可用提示
+         * @param {string} label - 版块名称
+         * @returns {string} Markdown 字符串
+         */
+        unavailable(label) {
+            return `> ⚠️ ${I18n.t('markdown.unavailable', { label })}`;
+        }
+    };
+
+    /**
+     * 分享海报绘制器 - 基于 reportData 在 canvas 上绘制竖版分享图
+     */
+    const PosterRenderer = {
+        /**
+         * 海报尺寸配置（逻辑像素，实际输出按 SCALE 放大）
+         */
+        WIDTH: 750,
+        PADDING: 48,
+        SCALE: 2,
+        FONT_FAMILY: 'PingFang SC, Microsoft YaHei, sans-serif',
+
+        /**
+         * 读取当前主题的颜色（CSS 变量）
+         * @returns {object} 调色板
+         */
+        readPalette() {
+            const style = getComputedStyle(document.documentElement);
+            const read = (name, fallback) => style.getPropertyValue(name).trim() || fallback;
+            return {
+                background: read('--color-bg-primary', '#fbfbfd'),
+                card: read('--color-bg-secondary', '#f5f5f7'),
+                text: read('--color-text-primary', '#1d1d1f'),
+                textSecondary: read('--color-text-secondary', '#6e6e73'),
+                primary: read('--color-primary', '#667eea'),
+                secondary: read('--color-secondary', '#764ba2'),
+                separator: read('--color-separator', 'rgba(0, 0, 0, 0.08)')
+            };
+        },
+
+        /**
+         * 设置字体
+         * @param {CanvasRenderingContext2D} ctx - Canvas 上下文
+         * @param {number} size - 字号
+         * @param {string} weight - 字重
+         */
+        font(ctx, size, weight = 'normal') {
+            ctx.font = `${weight} ${size}px ${this.FONT_FAMILY}`;
+        },
+
+        /**
+         * 按宽度逐字折行（兼容中文无空格文本）
+         * @param {CanvasRenderingContext2D} ctx - Canvas 上下文
+         * @param {string} text - 文本
+         * @param {number} maxWidth - 最大宽度
+         * @param {number} maxLines - 最大行数，超出部分以省略号结尾
+         * @returns {Array<string>} 行数组
+         */
+        wrapText(ctx, text, maxWidth, maxLines = Infinity) {
+            const lines = [];
+            let line = '';
+            for (const char of String(text || '')) {
+                if (ctx.measureText(line + char).width > maxWidth && line) {
+                    lines.push(line);
+                    line = char;
+                    if (lines.length === maxLines) break;
+                } else {
+                    line += char;
+                }
+            }
+            if (lines.length < maxLines && line) {
+                lines.push(line);
+            } else if (lines.length === maxLines) {
+                lines[maxLines - 1] = `${lines[maxLines - 1].slice(0, -1)}…`;
+            }
+            return lines;
+        },
+
+        /**
+         * 绘制圆角矩形路径
+         * @param {CanvasRenderingContext2D} ctx - Canvas 上下文
+         * @param {number} x - 左上角 x
+         * @param {number} y - 左上角 y
+         * @param {number} width - 宽度
+         * @param {number} height - 高度
+         * @param {number} radius - 圆角半径
+         */
+        roundRect(ctx, x, y, width, height, radius) {
+            ctx.beginPath();
+            ctx.moveTo(x + radius, y);
+            ctx.arcTo(x + width, y, x + width, y + height, radius);
+            ctx.arcTo(x + width, y + height, x, y + height, radius);
+            ctx.arcTo(x, y + height, x, y, radius);
+            ctx.arcTo(x, y, x + width, y, radius);
+            ctx.closePath();
+        },
+
+        /**
+         * 绘制海报内容
+         * @param {CanvasRenderingContext2D} ctx - Canvas 上下文
+         * @param {object} reportData - 报告数据
+         * @param {object} palette - 调色板
+         * @returns {number} 内容总高度
+         */
+        draw(ctx, reportData, palette) {
+            const { reportInfo: info = {}, hotTopics = [], analytics = {}, wordCloud = [], _dbFields } = reportData;
+            const left = this.PADDING;
+            const contentWidth = this.WIDTH - this.PADDING * 2;
+            let y = this.PADDING;
+
+            ctx.textBaseline = 'top';
+
+            // 1. 标题区
+            const gradient = ctx.createLinearGradient(0, 0, this.WIDTH, 0);
+            gradient.addColorStop(0, palette.primary);
+            gradient.addColorStop(1, palette.secondary);
+            ctx.fillStyle = gradient;
+            this.roundRect(ctx, left, y, contentWidth, 200, 24);
+            ctx.fill();
+
+            ctx.fillStyle = '#ffffff';
+            this.font(ctx, 22, '600');
+            ctx.fillText(I18n.term('reportType', info.reportType || '日报'), left + 32, y + 32);
+            this.font(ctx, 36, 'bold');
+            this.wrapText(ctx, info.groupName, contentWidth - 64, 1).forEach(line => ctx.fillText(line, left + 32, y + 70));
+            this.font(ctx, 22);
+            ctx.fillText(Utils.formatReportDate(info, _dbFields) || '', left + 32, y + 124);
+            ctx.fillText(I18n.t('poster.stats', { messages: info.totalMessages || 0, users: info.activeUsers || 0 }), left + 32, y + 156);
+            y += 200 + 40;
+
+            // 2. 热门话题前三
+            const sectionTitle = text => {
+                ctx.fillStyle = palette.text;
+                this.font(ctx, 28, 'bold');
+                ctx.fillText(text, left, y);
+                y += 48;
+            };
+
+            const topTopics = hotTopics.slice(0, 3);
+            if (topTopics.length > 0) {
+                sectionTitle(I18n.t('poster.hotTopics'));
+                topTopics.forEach((topic, index) => {
+                    this.font(ctx, 20);
+                    const summaryLines = this.wrapText(ctx, topic.summary, contentWidth - 48, 2);
+                    const cardHeight = 84 + summaryLines.length * 30;
+
+                    ctx.fillStyle = palette.card;
+                    this.roundRect(ctx, left, y, contentWidth, cardHeight, 16);
+                    ctx.fill();
+
+                    ctx.fillStyle = palette.primary;
+                    this.font(ctx, 24, 'bold');
+                    ctx.fillText(`${index + 1}`, left + 24, y + 24);
+                    ctx.fillStyle = palette.text;
+                    this.wrapText(ctx, topic.title, contentWidth - 84, 1).forEach(line => ctx.fillText(line, left + 56, y + 24));
+
+                    ctx.fillStyle = palette.textSecondary;
+                    this.font(ctx, 20);
+                    summaryLines.forEach((line, i) => ctx.fillText(line, left + 24, y + 68 + i * 30));
+
+                    y += cardHeight + 16;
+                });
+                y += 24;
+            }
+
+            // 3. 时段热度条
+            const hours = analytics.hourlyActivity || [];
+            if (hours.length > 0) {
+                sectionTitle(I18n.t('poster.hourlyActivity'));
+                const maxCount = Math.max(...hours.map(h => h.count || 0), 1);
+                const gap = 4;
+                const cellWidth = (contentWidth - gap * (hours.length - 1)) / hours.length;
+                hours.forEach((hour, index) => {
+                    const x = left + index * (cellWidth + gap);
+                    ctx.globalAlpha = CONFIG.CHART.OPACITY_MIN + (hour.count / maxCount) * CONFIG.CHART.OPACITY_MAX;
+                    ctx.fillStyle = palette.primary;
+                    this.roundRect(ctx, x, y, cellWidth, 40, 6);
+                    ctx.fill();
+                    ctx.globalAlpha = 1;
+                    if (index % 3 === 0) {
+                        ctx.fillStyle = palette.textSecondary;
+                        this.font(ctx, 14);
+                        ctx.fillText(String(hour.hour), x, y + 48);
+                    }
+                });
+                y += 40 + 24 + 40;
+            }
+
+            // 4. 词云（按权重流式排列）
+            if (wordCloud.length > 0) {
+                sectionTitle(I18n.t('wordCloud.hotWords'));
+                const maxWeight = wordCloud[0].weight;
+                const minWeight = wordCloud[wordCloud.length - 1].weight;
+                let x = left;
+                let lineHeight = 0;
+                wordCloud.slice(0, 24).forEach((item, index) => {
+                    const normalized = maxWeight === minWeight ? 1 : (item.weight - minWeight) / (maxWeight - minWeight);
+                    const size = Math.round(20 + normalized * 28);
+                    this.font(ctx, size, 'bold');
+                    const width = ctx.measureText(item.word).width;
+                    if (x + width > left + contentWidth) {
+                        x = left;
+                        y += lineHeight + 12;
+                        lineHeight = 0;
+                    }
+                    ctx.fillStyle = CONFIG.COLORS[index % CONFIG.COLORS.length];
+                    ctx.fillText(item.word, x, y);
+                    x += width + 20;
+                    lineHeight = Math.max(lineHeight, size);
+                });
+                y += lineHeight + 40;
+            }
+
+            // 5. 熬夜冠军
+            const owl = analytics.nightOwl;
+            if (owl && owl.name) {
+                this.font(ctx, 20);
+                const quoteLines = this.wrapText(ctx, `"${owl.lastMessage || ''}"`, contentWidth - 64, 2);
+                const cardHeight = 128 + quoteLines.length * 30;
+
+                ctx.fillStyle = palette.card;
+                this.roundRect(ctx, left, y, contentWidth, cardHeight, 16);
+                ctx.fill();
+
+                ctx.fillStyle = palette.text;
+                this.font(ctx, 26, 'bold');
+                ctx.fillText(I18n.t('poster.nightOwl', { name: owl.name }), left + 32, y + 28);
+                ctx.fillStyle = palette.primary;
+                this.font(ctx, 20, '600');
+                ctx.fillText(`"${owl.title || ''}"  🕐 ${owl.lastActiveTime || ''}`, left + 32, y + 72);
+                ctx.fillStyle = palette.textSecondary;
+                this.font(ctx, 20);
+                quoteLines.forEach((line, i) => ctx.fillText(line, left + 32, y + 112 + i * 30));
+                y += cardHeight + 40;
+            }
+
+            // 6. 页脚
+            ctx.fillStyle = palette.separator;
+            ctx.fillRect(left, y, contentWidth, 1);
+            y += 24;
+            ctx.fillStyle = palette.textSecondary;
+            this.font(ctx, 18);
+            ctx.fillText(I18n.t('poster.footer'), left, y);
+            y += 30 + this.PADDING;
+
+            return y;
+        },
+
+        /**
+         * 生成海报 canvas（先测量高度，再按实际高度绘制）
+         * @param {object} reportData - 报告数据
+         * @param {object} palette - 调色板，默认读取当前主题
+         * @returns {HTMLCanvasElement} 海报 canvas
+         */
+        render(reportData, palette = this.readPalette()) {
+            const measureCanvas = document.createElement('canvas');
+            measureCanvas.width = this.WIDTH;
+            measureCanvas.height = 1;
+            const height = this.draw(measureCanvas.getContext('2d'), reportData, palette);
+
+            const canvas = document.createElement('canvas');
+            canvas.width = this.WIDTH * this.SCALE;
+            canvas.height = height * this.SCALE;
+            const ctx = canvas.getContext('2d');
+            ctx.scale(this.SCALE, this.SCALE);
+            ctx.fillStyle = palette.background;
+            ctx.fillRect(0, 0, this.WIDTH, height);
+            this.draw(ctx, reportData, palette);
+            return canvas;
+        }
+    };
+
+    /**
+     * 渲染函数集合 - 将模板写入页面中对应的容器
+     */
+    const Renderers = {
+        /**
+         * 渲染报告头部
+         * @param {object} info - 报告基本信息
+         * @param {object} dbFields - 数据库字段（包含reportDate和createdAt）
+         * @param {object} comparison - 对比结果（可选）
+         */
+        renderHeader(info, dbFields, comparison) {
+            const container = document.getElementById('report-header');
+            if (!container) {
+                console.error('找不到 #report-header 容器');
+                return;
+            }
+
+            container.innerHTML = Templates.header(info, dbFields, comparison);
+        },
+
+        /**
+         * 渲染热点话题
+         * @param {Array} topics - 热点话题数组
+         */
+        renderHotTopics(topics) {
+            const container = document.getElementById('hot-topics-container');
+            if (!container) {
+                console.error('找不到 #hot-topics-container 容器');
+                return;
+            }
+
+            container.innerHTML = Templates.hotTopics(topics);
+        },
+
+        /**
+         * 渲染资源分享
+         * @param {Array} resources - 资源分享数组
+         */
+        renderSharedResources(resources) {
+            const container = document.getElementById('shared-resources-container');
+            if (!container) {
+                console.error('找不到 #shared-resources-container 容器');
+                return;
+            }
+
+            container.innerHTML = Templates.sharedResources(resources);
+        },
+
+        /**
+         * 渲染问答精选
+         * @param {Array} qas - 问答数组
+         */
+        renderQaHighlights(qas) {
+            const container = document.getElementById('qa-highlights-container');
+            if (!container) {
+                console.error('找不到 #qa-highlights-container 容器');
+                return;
+            }
+
+            container.innerHTML = Templates.qaHighlights(qas);
+        },
+
+        /**
+         * 渲染热度分布
+         * @param {Array} hotTopics - 热点话题数组
+         */
+        renderHeatDistribution(hotTopics) {
+            const container = document.getElementById('heat-distribution-container');
+            if (!container) return;
+
+            container.innerHTML = Templates.heatDistribution(hotTopics);
+        },
+
+        /**
+         * 渲染活跃度排行
+         * @param {Array} ranking - 排行数据
+         * @param {object} comparison - 对比结果（可选）
+         */
+        renderActivityRanking(ranking, comparison) {
+            const container = document.getElementById('activity-ranking-container');
+            if (!container) return;
+
+            container.innerHTML = Templates.activityRanking(ranking, comparison);
+        },
+
+        /**
+         * 渲染时段活跃度图表
+         * @param {Array} hourlyActivity - 每小时活跃度数据
+         * @param {object} comparison - 对比结果（可选）
+         * @param {object} average - 近几天的平均值 {days, hours}（可选）
+         */
+        renderHourlyActivity(hourlyActivity, comparison, average) {
+            const container = document.getElementById('hourly-activity-chart');
+            if (!container) return;
+
+            if (!hourlyActivity || hourlyActivity.length === 0) {
+                container.innerHTML = Templates.hourlyActivity(hourlyActivity, comparison, average);
+                return;
+            }
+
+            let columns = null;
+            const draw = () => {
+                container.innerHTML = Templates.hourlyActivity(hourlyActivity, comparison, average, columns);
+
+                const tooltip = document.createElement('div');
+                tooltip.className = 'hourly-tooltip';
+                tooltip.hidden = true;
+                container.appendChild(tooltip);
+
+                const toggle = container.querySelector('.hourly-average-toggle');
+                if (toggle) {
+                    toggle.setAttribute('aria-pressed', String(!container.classList.contains('hide-average')));
+                }
+            };
+
+            // 动态计算列数（横轴标签密度），列数变化时重绘
+            const updateColumns = () => {
+                const containerWidth = container.offsetWidth;
+                let nextColumns;
+                if (containerWidth > 1200) {
+                    nextColumns = 24;
+                } else if (containerWidth > 800) {
+                    nextColumns = 16;
+                } else if (containerWidth > 500) {
+                    nextColumns = 12;
+                } else {
+                    nextColumns = 8;
+                }
+                if (nextColumns !== columns) {
+                    columns = nextColumns;
+                    draw();
+                }
+            };
+
+            // 初始化列数
+            updateColumns();
+
+            // 监听窗口大小变化（同一容器重新渲染时替换旧的监听）
+            const previousObserver = this.hourlyChartObservers.get(container);
+            if (previousObserver) {
+                previousObserver.disconnect();
+            }
+            const resizeObserver = new ResizeObserver(() => {
+                updateColumns();
+            });
+            resizeObserver.observe(container);
+            this.hourlyChartObservers.set(container, resizeObserver);
+
+            this.bindHourlyChartEvents(container);
+        },
+
+        /**
+         * 时段图表容器对应的 ResizeObserver
+         */
+        hourlyChartObservers: new WeakMap(),
+
+        /**
+         * 已绑定交互的时段图表容器
+         */
+        hourlyChartContainers: new WeakSet(),
+
+        /**
+         * 为时段图表绑定悬停/聚焦提示和平均线开关（事件委托到容器，重绘后依然有效）
+         * @param {HTMLElement} container - 图表容器
+         */
+        bindHourlyChartEvents(container) {
+            if (this.hourlyChartContainers.has(container)) return;
+            this.hourlyChartContainers.add(container);
+
+            const show = (event) => {
+                const bar = event.target.closest('.hourly-bar-group');
+                const tooltip = container.querySelector('.hourly-tooltip');
+                if (!bar || !tooltip) return;
+
+                const barRect = bar.getBoundingClientRect();
+                const containerRect = container.getBoundingClientRect();
+                tooltip.textContent = bar.dataset.tooltip;
+                tooltip.style.left = `${barRect.left - containerRect.left + barRect.width / 2}px`;
+                tooltip.style.top = `${barRect.top - containerRect.top}px`;
+                tooltip.hidden = false;
+            };
+            const hide = (event) => {
+                const bar = event.target.closest('.hourly-bar-group');
+                const tooltip = container.querySelector('.hourly-tooltip');
+                if (bar && tooltip && !bar.contains(event.relatedTarget)) {
+                    tooltip.hidden = true;
+                }
+            };
+
+            container.addEventListener('pointerover', show);
+            container.addEventListener('focusin', show);
+            container.addEventListener('pointerout', hide);
+            container.addEventListener('focusout', hide);
+
+            container.addEventListener('click', (event) => {
+                const toggle = event.target.closest('.hourly-average-toggle');
+                if (!toggle) return;
+
+                const hidden = container.classList.toggle('hide-average');
+                toggle.setAttribute('aria-pressed', String(!hidden));
+            });
+        },
+
+        /**
+         * 渲染熬夜冠军
+         * @param {object} nightOwl - 熬夜冠军数据
+         */
+        renderNightOwl(nightOwl) {
+            const container = document.getElementById('night-owl-section');
+            if (!container) return;
+
+            container.innerHTML = Templates.nightOwl(nightOwl);
+        },
+
+        /**
+         * 渲染词云（使用 wordcloud2.js 专业布局算法），点击热词筛选正文
+         * @param {Array} words - 词云数据 [{word: string, weight: number}, ...]
+         * @param {object} reportData - 报告数据（用于热词筛选）
+         */
+        renderWordCloud(words, reportData) {
+            const container = document.getElementById('word-cloud-container');
+            if (!container) {
+                console.error('找不到 #word-cloud-container 容器');
+                return;
+            }
+
+            if (!words || words.length === 0) {
+                container.innerHTML = html`<p>${I18n.t('wordCloud.empty')}</p>`;
+                return;
+            }
+
+            // 检查 WordCloud 库是否加载
+            if (typeof WordCloud === 'undefined') {
+                console.warn('WordCloud 库未加载，使用降级方案');
+                this.renderWordCloudFallback(words, container, reportData);
+                return;
+            }
+
+            // 清空容器并创建 canvas
+            container.innerHTML = '';
+            const canvas = document.createElement('canvas');
+            canvas.width = container.offsetWidth || 800;
+            canvas.height = CONFIG.WORD_CLOUD.HEIGHT;
+            canvas.style.opacity = '0';
+            canvas.style.transition = 'opacity 0.8s ease-in';
+            container.appendChild(canvas);
+
+            // 悬停提示（显示权重和相关内容数）
+            const tooltip = document.createElement('div');
+            tooltip.className = 'word-cloud-tooltip';
+            tooltip.hidden = true;
+            container.appendChild(tooltip);
+
+            // 记录当前词云，切换主题时按新配色重绘
+            this.wordCloudState = { words, reportData };
+            this.bindWordCloudThemeChange();
+
+            try {
+                const ctx = canvas.getContext('2d');
+                this.drawWordCloud(canvas, words, reportData);
+
+                // 渲染完成后淡入显示
+                setTimeout(() => {
+                    canvas.style.opacity = '1';
+                }, 100);
+
+                // 添加 hover 高亮效果
+                this.addWordCloudInteraction(canvas, words.map(item => [item.word, item.weight]), ctx);
+
+            } catch (error) {
+                console.error('词云渲染失败:', error);
+                this.renderWordCloudFallback(words, container, reportData);
+            }
+        },
+
+        /**
+         * 在 canvas 上绘制词云（颜色和布局由热词与报告日期决定，颜色跟随当前主题）
+         * @param {HTMLCanvasElement} canvas - Canvas 元素
+         * @param {Array} words - 词云数据
+         * @param {object} reportData - 报告数据
+         */
+        drawWordCloud(canvas, words, reportData) {
+            const seed = WordCloudStyle.seed(reportData);
+            const theme = WordCloudStyle.getTheme();
+            const tooltip = canvas.parentElement.querySelector('.word-cloud-tooltip');
+
+            // 转换数据格式：[word, weight] 数组
+            const wordList = words.map(item => [item.word, item.weight]);
+
+            // 使用 wordcloud2.js 渲染，排布和旋转由热词和报告日期决定
+            WordCloudStyle.layout(`${seed}|${wordList.map(item => item[0]).join('|')}`, () => {
+                WordCloud(canvas, {
+                    list: wordList,
+                    gridSize: Math.round(16 * canvas.width / 1024),
+                    weightFactor: function(size) {
+                        const maxWeight = words[0].weight;
+                        const minWeight = words[words.length - 1].weight;
+                        const normalized = (size - minWeight) / (maxWeight - minWeight || 1);
+                        return CONFIG.WORD_CLOUD.MIN_SIZE + normalized * (CONFIG.WORD_CLOUD.MAX_SIZE - CONFIG.WORD_CLOUD.MIN_SIZE);
+                    },
+                    fontFamily: 'PingFang SC, Microsoft YaHei, sans-serif',
+                    color: word => WordCloudStyle.color(word, seed, theme),
+                    rotateRatio: 0.3,
+                    rotationSteps: 2,
+                    backgroundColor: 'transparent',
+                    drawOutOfBound: false,
+                    shrinkToFit: true,
+                    // 记录每个词的位置信息
+                    drawOutOfBound: false,
+                    // hover 功能回调
+                    hover: (item, dimension) => {
+                        if (item) {
+                            canvas.style.cursor = 'pointer';
+                            tooltip.textContent = this.describeWord(item[0], item[1], reportData);
+                            tooltip.style.left = `${canvas.offsetLeft + dimension.x + dimension.w / 2}px`;
+                            tooltip.style.top = `${canvas.offsetTop + dimension.y}px`;
+                            tooltip.hidden = false;
+                        } else {
+                            canvas.style.cursor = 'default';
+                            tooltip.hidden = true;
+                        }
+                    },
+                    // 点击词语筛选正文，再次点击同一个词取消筛选
+                    click: (item) => {
+                        if (item) {
+                            this.toggleWordFilter(item[0], reportData);
+                        }
+                    }
+                });
+            });
+        },
+
+        /**
+         * 监听主题切换，重绘当前的 canvas 词云（只绑定一次；降级方案由样式表切换颜色）
+         */
+        bindWordCloudThemeChange() {
+            if (this.wordCloudThemeBound) return;
+            this.wordCloudThemeBound = true;
+
+            window.addEventListener('themechange', () => {
+                const canvas = document.querySelector('#word-cloud-container canvas');
+                if (!canvas || !this.wordCloudState) return;
+
+                try {
+                    this.drawWordCloud(canvas, this.wordCloudState.words, this.wordCloudState.reportData);
+                } catch (error) {
+                    console.error('词云重绘失败:', error);
+                }
+            });
+        },
+
+        /**
+         * 为词云添加 hover 交互效果
+         * @param {HTMLCanvasElement} canvas - Canvas 元素
+         * @param {Array} wordList - 词语列表
+         * @param {CanvasRenderingContext2D} ctx - Canvas 上下文
+         */
+        addWordCloudInteraction(canvas, wordList, ctx) {
+            // 保存原始 canvas 图像
+            const originalImageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+            canvas.addEventListener('mousemove', (event) => {
+                const rect = canvas.getBoundingClientRect();
+                const x = event.clientX - rect.left;
+                const y = event.clientY - rect.top;
+
+                // 获取鼠标位置的像素数据
+                const pixel = ctx.getImageData(x, y, 1, 1).data;
+
+                // 如果鼠标在词语上（alpha > 0）
+                if (pixel[3] > 0) {
+                    canvas.style.cursor = 'pointer';
+                    // 添加微妙的缩放效果（通过改变 canvas 的 transform）
+                    canvas.style.transform = 'scale(1.02)';
+                } else {
+                    canvas.style.cursor = 'default';
+                    canvas.style.transform = 'scale(1)';
+                }
+            });
+
+            canvas.addEventListener('mouseleave', () => {
+                canvas.style.cursor = 'default';
+                canvas.style.transform = 'scale(1)';
+                const tooltip = canvas.parentElement.querySelector('.word-cloud-tooltip');
+                if (tooltip) tooltip.hidden = true;
+            });
+
+            // 添加平滑过渡
+            canvas.style.transition = 'transform 0.2s ease-out, opacity 0.8s ease-in';
+        },
+
+        /**
+         * 在词云下方追加词语变化
+         * @param {object} comparison - 对比结果
+         */
+        renderWordDiff(comparison) {
+            const container = document.getElementById('word-cloud-container');
+            if (!container || !comparison) return;
+
+            container.insertAdjacentHTML('beforeend', Templates.wordDiff(comparison));
+        },
+
+        /**
+         * 词云降级方案（当 wordcloud2.js 未加载时使用）
+         * @param {Array} words - 词云数据
+         * @param {HTMLElement} container - 容器元素
+         * @param {object} reportData - 报告数据（用于热词筛选）
+         */
+        renderWordCloudFallback(words, container, reportData) {
+            container.innerHTML = Templates.wordCloud(words, WordCloudStyle.seed(reportData));
+
+            const cloud = container.querySelector('.cloud-static');
+            if (!cloud) return;
+
+            // 静态模板不含交互，这里补充键盘可达性和悬停提示
+            const weights = new Map(words.map(item => [item.word, item.weight]));
+            cloud.querySelectorAll('.cloud-word').forEach(element => {
+                element.setAttribute('role', 'button');
+                element.setAttribute('tabindex', '0');
+                element.title = this.describeWord(element.dataset.word, weights.get(element.dataset.word), reportData);
+            });
+
+            const activate = (event) => {
+                const element = event.target.closest('.cloud-word');
+                if (element) {
+                    this.toggleWordFilter(element.dataset.word, reportData);
+                }
+            };
+            cloud.addEventListener('click', activate);
+            cloud.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter' || event.key === ' ') {
+                    event.preventDefault();
+                    activate(event);
+                }
+            });
+        },
+
+        /**
+         * 热词的悬停提示文本
+         * @param {string} word - 热词
+         * @param {number} weight - 权重
+         * @param {object} reportData - 报告数据
+         * @returns {string} 提示文本
+         */
+        describeWord(word, weight, reportData) {
+            return I18n.t('wordCloud.tooltip', {
+                word,
+                weight: weight === undefined ? '-' : weight,
+                count: WordFilter.matches(reportData, word).length
+            });
+        },
+
+        /**
+         * 当前筛选的热词（null 表示未筛选）
+         */
+        activeWord: null,
+
+        /**
+         * 切换热词筛选：点击当前筛选词时取消，否则按新词筛选
+         * @param {string} word - 热词
+         * @param {object} reportData - 报告数据
+         */
+        toggleWordFilter(word, reportData) {
+            if (word === this.activeWord) {
+                this.clearWordFilter();
+            } else {
+                this.applyWordFilter(word, reportData);
+            }
+        },
+
+        /**
+         * 按热词筛选正文：高亮包含该词的话题、问答和资源，其余变暗，并显示可关闭的筛选标签
+         * @param {string} word - 热词
+         * @param {object} reportData - 报告数据
+         */
+        applyWordFilter(word, reportData) {
+            const matches = WordFilter.matches(reportData, word);
+            const matched = new Set(matches.map(({ section, index }) => `${section}-${index}`));
+
+            this.activeWord = word;
+            Object.keys(WordFilter.SECTIONS).forEach(section => {
+                document.querySelectorAll(`[data-anchor^="${section}-"]`).forEach(card => {
+                    const isMatch = matched.has(card.dataset.anchor);
+                    card.classList.toggle('word-match', isMatch);
+                    card.classList.toggle('word-dimmed', !isMatch);
+                });
+            });
+            document.querySelectorAll('.cloud-word').forEach(element => {
+                element.classList.toggle('active', element.dataset.word === word);
+            });
+
+            let pill = document.getElementById('word-filter-pill');
+            if (!pill) {
+                pill = document.createElement('div');
+                pill.id = 'word-filter-pill';
+                pill.className = 'word-filter-pill';
+                pill.setAttribute('role', 'status');
+                document.body.appendChild(pill);
+            }
+            pill.innerHTML = html`
+                <span class="word-filter-label"></span>
+                <button type="button" class="word-filter-clear" aria-label="${I18n.t('wordCloud.clearFilter')}" title="${I18n.t('wordCloud.clearFilter')}">×</button>
+            `;
+            pill.querySelector('.word-filter-label').textContent = I18n.t('wordCloud.filteredBy', { word, count: matches.length });
+            pill.querySelector('.word-filter-clear').addEventListener('click', () => this.clearWordFilter());
+
+            // 滚动到第一条匹配内容
+            const first = matches[0] && document.querySelector(`[data-anchor="${matches[0].section}-${matches[0].index}"]`);
+            if (first) {
+                first.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            }
+        },
+
+        /**
+         * 取消热词筛选
+         */
+        clearWordFilter() {
+            this.activeWord = null;
+            document.querySelectorAll('.word-match, .word-dimmed').forEach(card => {
+                card.classList.remove('word-match', 'word-dimmed');
+            });
+            document.querySelectorAll('.cloud-word.active').forEach(element => element.classList.remove('active'));
+
+            const pill = document.getElementById('word-filter-pill');
+            if (pill) {
+                pill.remove();
+            }
+        },
+
+        /**
+         * 渲染报告总结
+         * @param {object} summary - 总结数据
+         * @param {object} info - 报告信息
+         */
+        renderSummary(summary, info) {
+            const container = document.getElementById('report-summary-container');
+            const title = document.getElementById('summary-title');
+
+            if (!container) {
+                console.error('找不到 #report-summary-container 容器');
+                return;
+            }
+
+            if (title && info?.dateRange) {
+                title.textContent = Templates.summaryTitle(info);
+            }
+
+            container.innerHTML = Templates.summary(summary);
+        },
+
+        /**
+         * 渲染页脚
+         * @param {object} info - 报告信息
+         * @param {object} dbFields - 数据库字段（包含reportDate和createdAt）
+         */
+        renderFooter(info, dbFields) {
+            const container = document.getElementById('report-footer');
+            if (!container) {
+                console.error('找不到 #report-footer 容器');
+                return;
+            }
+
+            container.innerHTML = Templates.footer(info, dbFields);
+        },
+
+        /**
+         * 渲染"该部分不可用"提示卡片
+         * @param {string} containerId - 容器ID
+         * @param {string} label - 版块名称
+         */
+        renderUnavailable(containerId, label) {
+            const container = document.getElementById(containerId);
+            if (!container) return;
+
+            container.innerHTML = Templates.unavailable(label);
+        }
+    };
+
+    /**
+     * 版块注册表：name -> 版块定义
+     * 版块按 order 升序排列，既决定页面布局顺序，也决定渲染顺序
+     */
+    const sectionRegistry = new Map();
+
+    /**
+     * 内置版块定义
+     * slices 为版块依赖的数据路径，校验失败或渲染抛错时仅该版块（或子版块）显示不可用提示
+     * parts 用于一个布局块内包含多个独立渲染的子版块（如数据统计）
+     */
+    const BUILTIN_SECTIONS = {
+        header: {
+            label: () => I18n.t('section.header'),
+            order: 10,
+            slices: ['reportInfo'],
+            containerId: 'report-header',
+            render: data => Renderers.renderHeader(data.reportInfo, data._dbFields, data._comparison),
+            template: data => Templates.header(data.reportInfo, data._dbFields, data._comparison),
+            markdown: data => MarkdownTemplates.header(data.reportInfo, data._dbFields, data._comparison),
+            layout: slot => html`<header id="report-header">${slot('report-header')}</header>`
+        },
+        hotTopics: {
+            label: () => I18n.t('section.hotTopics'),
+            order: 20,
+            slices: ['hotTopics'],
+            containerId: 'hot-topics-container',
+            render: data => Renderers.renderHotTopics(data.hotTopics),
+            template: data => Templates.hotTopics(data.hotTopics),
+            markdown: data => MarkdownTemplates.hotTopics(data.hotTopics),
+            layout: slot => html`
+                <section class="hot-topics" id="topics">
+                    <h2 id="hot-topics-title">${I18n.t('section.hotTopics.title')}</h2>
+                    <div class="card-grid card-grid-2" id="hot-topics-container">${slot('hot-topics-container')}</div>
+                </section>`
+        },
+        sharedResources: {
+            label: () => I18n.t('section.sharedResources'),
+            order: 30,
+            slices: ['sharedResources'],
+            containerId: 'shared-resources-container',
+            render: data => Renderers.renderSharedResources(data.sharedResources),
+            template: data => Templates.sharedResources(data.sharedResources),
+            markdown: data => MarkdownTemplates.sharedResources(data.sharedResources),
+            layout: slot => html`
+                <section class="tutorials" id="resources">
+                    <h2>${I18n.t('section.sharedResources.title')}</h2>
+                    <div class="card-grid card-grid-3" id="shared-resources-container">${slot('shared-resources-container')}</div>
+                </section>`
+        },
+        qaHighlights: {
+            label: () => I18n.t('section.qaHighlights'),
+            order: 40,
+            slices: ['qaHighlights'],
+            containerId: 'qa-highlights-container',
+            render: data => Renderers.renderQaHighlights(data.qaHighlights),
+            template: data => Templates.qaHighlights(data.qaHighlights),
+            markdown: data => MarkdownTemplates.qaHighlights(data.qaHighlights),
+            layout: slot => html`
+                <section class="questions-answers" id="qa">
+                    <h2>${I18n.t('section.qaHighlights.title')}</h2>
+                    <div class="card-grid card-grid-1" id="qa-highlights-container">${slot('qa-highlights-container')}</div>
+                </section>`
+        },
+        analytics: {
+            title: () => I18n.t('section.analytics.title'),
+            label: () => I18n.t('section.analytics'),
+            order: 50,
+            parts: [
+                {
+                    name: 'heatDistribution',
+                    label: () => I18n.t('section.heatDistribution'),
+                    slices: ['hotTopics'],
+                    containerId: 'heat-distribution-container',
+                    render: data => Renderers.renderHeatDistribution(data.hotTopics || []),
+                    template: data => Templates.heatDistribution(data.hotTopics || [])
+                },
+                {
+                    name: 'activityRanking',
+                    label: () => I18n.t('section.activityRanking'),
+                    slices: ['analytics.activityRanking'],
+                    containerId: 'activity-ranking-container',
+                    render: data => Renderers.renderActivityRanking(data.analytics.activityRanking, data._comparison),
+                    template: data => Templates.activityRanking(data.analytics.activityRanking, data._comparison),
+                    markdown: data => MarkdownTemplates.activityRanking(data.analytics.activityRanking)
+                },
+                {
+                    name: 'hourlyActivity',
+                    label: () => I18n.t('section.hourlyActivity'),
+                    slices: ['analytics.hourlyActivity'],
+                    containerId: 'hourly-activity-chart',
+                    render: data => Renderers.renderHourlyActivity(data.analytics.hourlyActivity, data._comparison, data._hourlyAverage),
+                    template: data => Templates.hourlyActivity(data.analytics.hourlyActivity, data._comparison, data._hourlyAverage),
+                    markdown: data => MarkdownTemplates.hourlyActivity(data.analytics.hourlyActivity)
+                },
+                {
+                    name: 'nightOwl',
+                    label: () => I18n.t('section.nightOwl'),
+                    slices: ['analytics.nightOwl'],
+                    containerId: 'night-owl-section',
+                    render: data => Renderers.renderNightOwl(data.analytics.nightOwl),
+                    template: data => Templates.nightOwl(data.analytics.nightOwl),
+                    markdown: data => MarkdownTemplates.nightOwl(data.analytics.nightOwl)
+                }
+            ],
+            layout: slot => html`
+                <section class="analytics" id="analytics">
+                    <h2>${I18n.t('section.analytics.title')}</h2>
+                    <h3>${I18n.t('section.heatDistribution.title')}</h3>
+                    <div class="heat-distribution" id="heat-distribution-container">${slot('heat-distribution-container')}</div>
+                    <h3>${I18n.t('section.activityRanking.title')}</h3>
+                    <div class="participants-ranking" id="activity-ranking-container">${slot('activity-ranking-container')}</div>
+                    <h3>${I18n.t('section.hourlyActivity.title')}</h3>
+                    <div class="time-activity">
+                        <div class="time-chart" id="hourly-activity-chart">${slot('hourly-activity-chart')}</div>
+                    </div>
+                    <div id="night-owl-section">${slot('night-owl-section')}</div>
+                </section>`
+        },
+        wordCloud: {
+            label: () => I18n.t('section.wordCloud'),
+            order: 60,
+            slices: ['wordCloud'],
+            containerId: 'word-cloud-container',
+            render: data => {
+                Renderers.renderWordCloud(data.wordCloud, data);
+                Renderers.renderWordDiff(data._comparison);
+            },
+            template: data => html`${Templates.wordCloud(data.wordCloud, WordCloudStyle.seed(data))}${Templates.wordDiff(data._comparison)}`,
+            markdown: data => MarkdownTemplates.wordCloud(data.wordCloud),
+            layout: slot => html`
+                <section class="word-cloud" id="wordcloud">
+                    <h2>${I18n.t('section.wordCloud.title')}</h2>
+                    <div class="cloud-container" id="word-cloud-container">${slot('word-cloud-container')}</div>
+                </section>`
+        },
+        reportSummary: {
+            label: () => I18n.t('section.reportSummary'),
+            order: 70,
+            slices: ['reportSummary'],
+            containerId: 'report-summary-container',
+            render: data => Renderers.renderSummary(data.reportSummary, data.reportInfo),
+            template: data => Templates.summary(data.reportSummary),
+            markdown: data => MarkdownTemplates.summary(data.reportSummary, data.reportInfo),
+            layout: (slot, data) => html`
+                <section class="summary" id="summary">
+                    <h2 id="summary-title">${Templates.summaryTitle(data?.reportInfo)}</h2>
+                    <div class="card" id="report-summary-container">${slot('report-summary-container')}</div>
+                </section>`
+        },
+        footer: {
+            label: () => I18n.t('section.footer'),
+            order: 80,
+            slices: ['reportInfo'],
+            containerId: 'report-footer',
+            render: data => Renderers.renderFooter(data.reportInfo, data._dbFields),
+            template: data => Templates.footer(data.reportInfo, data._dbFields),
+            markdown: data => MarkdownTemplates.footer(data.reportInfo),
+            layout: slot => html`<footer id="report-footer">${slot('report-footer')}</footer>`
+        },
+        riskDisclaimer: {
+            label: () => I18n.t('section.riskDisclaimer'),
+            order: 90,
+            layout: () => Templates.riskDisclaimer()
+        }
+    };
+
+    /**
+     * 静态渲染默认选项
+     */
+    const STATIC_DEFAULTS = {
+        stylesheet: 'https://cdn.jsdelivr.net/gh/6565559/6565559.github.io@main/static/style-v1.7.css',
+        theme: 'dark'
+    };
+
+    /**
+     * 主渲染器
+     */
+    const ChatLogRenderer = {
+        /**
+         * 注册版块（同名版块会被覆盖）
+         * @param {string} name - 版块名称
+         * @param {object} definition - 版块定义
+         * @param {Function} definition.render - DOM 渲染函数 (reportData, container) => void
+         * @param {Function} definition.template - 字符串模板 (reportData) => string，用于静态渲染；未提供 render 时也用于 DOM 渲染
+         * @param {Function} definition.markdown - Markdown 模板 (reportData) => string，用于 toMarkdown 导出（可选）
+         * @param {string} definition.containerId - 容器ID
+         * @param {number} definition.order - 排序值，内置版块间隔为 10（header 为 10，footer 为 80）
+         * @param {string|Function} definition.title - 版块标题（使用默认布局时显示），可为返回当前语言文本的函数
+         * @param {string|Function} definition.label - 不可用提示中显示的名称，默认同 title，可为函数
+         * @param {Array<string>} definition.slices - 依赖的数据路径，校验失败时不渲染
+         * @param {Function} definition.layout - 外层布局 (slot, reportData) => string|SafeHtml，slot 返回 SafeHtml，默认生成 <section>
+         * @param {boolean} definition.enabled - 是否启用，默认启用
+         */
+        registerSection(name, definition = {}) {
+            if (!name || typeof name !== 'string') {
+                throw new Error('registerSection: 版块名称必须为非空字符串');
+            }
+            if (!definition.parts && definition.containerId && !definition.render && !definition.template) {
+                throw new Error(`registerSection: 版块 ${name} 缺少 render 或 template`);
+            }
+            if (!definition.layout && !definition.containerId) {
+                throw new Error(`registerSection: 版块 ${name} 缺少 containerId`);
+            }
+
+            const maxOrder = Math.max(0, ...Array.from(sectionRegistry.values(), section => section.order));
+            const title = definition.title || '';
+
+            sectionRegistry.set(name, {
+                name,
+                title,
+                label: definition.label || title || name,
+                order: typeof definition.order === 'number' ? definition.order : maxOrder + 10,
+                enabled: definition.enabled !== false,
+                slices: definition.slices || [],
+                containerId: definition.containerId,
+                render: definition.render,
+                template: definition.template,
+                markdown: definition.markdown,
+                parts: definition.parts,
+                layout: definition.layout ||
+                    (slot => Templates.customSection(name, I18n.resolve(title), definition.containerId, slot(definition.containerId)))
+            });
+        },
+
+        /**
+         * 移除版块
+         * @param {string} name - 版块名称
+         * @returns {boolean} 是否存在并已移除
+         */
+        unregisterSection(name) {
+            return sectionRegistry.delete(name);
+        },
+
+        /**
+         * 启用或禁用版块
+         * @param {string} name - 版块名称
+         * @param {boolean} enabled - 是否启用
+         */
+        setSectionEnabled(name, enabled) {
+            const section = sectionRegistry.get(name);
+            if (!section) {
+                console.warn(`未注册的版块: ${name}`);
+                return;
+            }
+            section.enabled = Boolean(enabled);
+        },
+
+        /**
+         * 调整版块顺序
+         * @param {string} name - 版块名称
+         * @param {number} order - 排序值
+         */
+        setSectionOrder(name, order) {
+            const section = sectionRegistry.get(name);
+            if (!section) {
+                console.warn(`未注册的版块: ${name}`);
+                return;
+            }
+            section.order = order;
+        },
+
+        /**
+         * 获取版块列表（按 order 排序）
+         * @param {boolean} includeDisabled - 是否包含已禁用的版块
+         * @returns {Array} 版块定义数组
+         */
+        getSections(includeDisabled = false) {
+            return Array.from(sectionRegistry.values())
+                .filter(section => includeDisabled || section.enabled)
+                .sort((a, b) => a.order - b.order);
+        },
+
+        /**
+         * 获取版块下需要独立渲染的部分（简单版块即其自身）
+         * @param {object} section - 版块定义
+         * @returns {Array} 渲染单元数组
+         */
+        getSectionParts(section) {
+            if (section.parts) {
+                return section.parts;
+            }
+            return section.containerId ? [section] : [];
+        },
+
+        /**
+         * 初始化渲染
+         * 各版块独立校验和渲染，单个版块出错不会影响其他版块
+         * @param {object} reportData - 完整的报告数据
+         * @returns {Array} 校验及渲染错误 [{section, path, message}, ...]
+         */
+        init(reportData) {
+            // 数据验证
+            const invalid = Validator.checkReportData(reportData);
+            if (invalid.length > 0) {
+                console.error('❌ 渲染失败: 无效的报告数据');
+                this.showError(I18n.t('error.invalidData'));
+                return invalid;
+            }
+
+            const errors = Validator.validateReport(reportData);
+
+            // 重新渲染时取消上一份报告的热词筛选
+            Renderers.clearWordFilter();
+
+            // 设置页面标题
+            if (!Validator.affects(errors, 'reportInfo')) {
+                document.title = Utils.buildPageTitle(reportData.reportInfo, reportData._dbFields);
+            }
+
+            // 按注册顺序逐个渲染，传递数据库字段
+            this.getSections().forEach(section => {
+                this.getSectionParts(section).forEach(part => this.renderPart(part, reportData, errors));
+            });
+
+            if (errors.length > 0) {
+                console.warn('⚠️ 日报数据存在异常，部分版块未能显示:', errors);
+            } else {
+                console.log('✅ ChatLog 日报渲染完成');
+            }
+
+            return errors;
+        },
+
+        /**
+         * 渲染单个渲染单元，出错时显示不可用提示并记录错误
+         * @param {object} part - 渲染单元（版块或子版块）
+         * @param {object} reportData - 完整的报告数据
+         * @param {Array} errors - 错误数组（渲染错误会追加到其中）
+         */
+        renderPart(part, reportData, errors) {
+            const container = document.getElementById(part.containerId);
+            if (!container) {
+                console.warn(`找不到 #${part.containerId} 容器，跳过版块 ${part.name}`);
+                return;
+            }
+
+            if (this.isSectionAffected(part, errors)) {
+                Renderers.renderUnavailable(part.containerId, I18n.resolve(part.label));
+                return;
+            }
+
+            try {
+                if (part.render) {
+                    part.render(reportData, container);
+                } else {
+                    container.innerHTML = part.template(reportData);
+                }
+            } catch (error) {
+                console.error(`❌ 版块 ${part.name} 渲染失败:`, error);
+                errors.push({ section: part.name, path: part.name, message: error.message });
+                Renderers.renderUnavailable(part.containerId, I18n.resolve(part.label));
+            }
+        },
+
+        /**
+         * 重新渲染单个版块（页面补充附加数据后使用，如 _hourlyAverage）
+         * @param {string} name - 版块名称
+         * @param {object} reportData - 完整的报告数据
+         * @returns {Array} 校验及渲染错误
+         */
+        renderSection(name, reportData) {
+            const section = sectionRegistry.get(name);
+            if (!section) {
+                console.warn(`未注册的版块: ${name}`);
+                return [];
+            }
+
+            const errors = Validator.validateReport(reportData);
+            this.getSectionParts(section).forEach(part => this.renderPart(part, reportData, errors));
+            return errors;
+        },
+
+        /**
+         * 判断版块依赖的数据是否存在校验错误
+         * @param {object} section - 版块定义
+         * @param {Array} errors - 错误数组
+         * @returns {boolean} 是否受影响
+         */
+        isSectionAffected(section, errors) {
+            return (section.slices || []).some(slice => Validator.affects(errors, slice));
+        },
+
+        /**
+         * 按已启用版块生成日报容器布局
+         * @param {Function} slot - 容器内容获取函数 (containerId) => string，默认为空；传给 layout 时包装为 SafeHtml
+         * @param {object} reportData - 报告数据（可选，用于布局中的标题等）
+         * @returns {string} 完整的日报HTML结构
+         */
+        createLayout(slot = () => '', reportData) {
+            return this.getSections()
+                .map(section => section.layout(id => Utils.raw(slot(id)), reportData))
+                .join('\n');
+        },
+
+        /**
+         * 将报告数据渲染为 HTML 字符串（不依赖 DOM，可在 Node 中运行）
+         * 结构与 createLayout() + init() 的结果一致，词云使用静态网格布局
+         * @param {object} reportData - 完整的报告数据
+         * @returns {{html: string, title: string, errors: Array}} 渲染结果，数据无效时 html 为空
+         */
+        renderToString(reportData) {
+            const invalid = Validator.checkReportData(reportData);
+            if (invalid.length > 0) {
+                return { html: '', title: I18n.t('page.defaultTitle'), errors: invalid };
+            }
+
+            const errors = Validator.validateReport(reportData);
+            const contents = {};
+
+            this.getSections().forEach(section => {
+                this.getSectionParts(section).forEach(part => {
+                    if (this.isSectionAffected(part, errors)) {
+                        contents[part.containerId] = Templates.unavailable(I18n.resolve(part.label));
+                        return;
+                    }
+                    try {
+                        contents[part.containerId] = part.template ? part.template(reportData) : '';
+                    } catch (error) {
+                        errors.push({ section: part.name, path: part.name, message: error.message });
+                        contents[part.containerId] = Templates.unavailable(I18n.resolve(part.label));
+                    }
+                });
+            });
+
+            const infoValid = !Validator.affects(errors, 'reportInfo');
+            const title = infoValid ? Utils.buildPageTitle(reportData.reportInfo, reportData._dbFields) : I18n.t('page.defaultTitle');
+
+            return {
+                html: this.createLayout(id => contents[id] || '', infoValid ? reportData : undefined),
+                title,
+                errors
+            };
+        },
+
+        /**
+         * 将报告数据导出为 Markdown 文档（按已启用版块的顺序）
+         * @param {object} reportData - 完整的报告数据
+         * @returns {{markdown: string, errors: Array}} Markdown 文本及校验、导出错误，数据无效时 markdown 为空
+         */
+        toMarkdown(reportData) {
+            const invalid = Validator.checkReportData(reportData);
+            if (invalid.length > 0) {
+                return { markdown: '', errors: invalid };
+            }
+
+            const errors = Validator.validateReport(reportData);
+            const blocks = [];
+
+            this.getSections().forEach(section => {
+                const partBlocks = this.getSectionParts(section)
+                    .filter(part => part.markdown)
+                    .map(part => {
+                        if (this.isSectionAffected(part, errors)) {
+                            return MarkdownTemplates.unavailable(I18n.resolve(part.label));
+                        }
+                        try {
+                            return part.markdown(reportData);
+                        } catch (error) {
+                            errors.push({ section: part.name, path: part.name, message: error.message });
+                            return MarkdownTemplates.unavailable(I18n.resolve(part.label));
+                        }
+                    })
+                    .filter(Boolean);
+
+                if (partBlocks.length === 0) return;
+                if (section.parts && section.title) {
+                    blocks.push(`## ${I18n.resolve(section.title)}`);
+                }
+                blocks.push(...partBlocks);
+            });
+
+            return { markdown: `${blocks.join('\n\n')}\n`, errors };
+        },
+
+        /**
+         * 生成分享海报（使用当前主题配色）
+         * @param {object} reportData - 完整的报告数据
+         * @returns {{canvas: HTMLCanvasElement|null, errors: Array}} 海报 canvas 及校验错误，数据无效时 canvas 为 null
+         */
+        createPoster(reportData) {
+            const invalid = Validator.checkReportData(reportData);
+            if (invalid.length > 0) {
+                return { canvas: null, errors: invalid };
+            }
+            return { canvas: PosterRenderer.render(reportData), errors: Validator.validateReport(reportData) };
+        },
+
+        /**
+         * 生成分享海报并下载为 PNG
+         * @param {object} reportData - 完整的报告数据
+         * @param {string} fileName - 文件名
+         * @returns {Promise<void>} 数据无效或生成失败时 reject
+         */
+        downloadPoster(reportData, fileName = 'report-poster.png') {
+            const { canvas, errors } = this.createPoster(reportData);
+            if (!canvas) {
+                return Promise.reject(new Error(errors[0].message));
+            }
+            return new Promise((resolve, reject) => {
+                canvas.toBlob(blob => {
+                    if (!blob) {
+                        reject(new Error('海报生成失败'));
+                        return;
+                    }
+                    const url = URL.createObjectURL(blob);
+                    const link = document.createElement('a');
+                    link.href = url;
+                    link.download = fileName;
+                    document.body.appendChild(link);
+                    link.click();
+                    link.remove();
+                    URL.revokeObjectURL(url);
+                    resolve();
+                }, 'image/png');
+            });
+        },
+
+        /**
+         * 生成对比模式的报告数据：在当前报告上附加与基准报告的对比结果（_comparison）
+         * 渲染时头部显示数值变化，排行显示名次升降，词云显示新词/消失词，时段图叠加基准日数据
+         * @param {object} current - 当前报告数据
+         * @param {object} previous - 对比基准报告数据
+         * @returns {object} 附加了 _comparison 的报告数据（不修改原对象）
+         */
+        compareReports(current, previous) {
+            if (!current || !previous) {
+                throw new Error('对比需要两份报告数据');
+            }
+            return { ...current, _comparison: ReportComparator.compare(current, previous) };
+        },
+
+        /**
+         * 将多份日报聚合为周报/月报，结果可直接传给 init 渲染
+         * @param {Array} reports - 日报数据数组（可带 _dbFields）
+         * @param {string} period - 周期类型（WEEK/MONTH）
+         * @param {object} limits - 各列表最大条数 {hotTopics, qaHighlights, activityRanking, wordCloud}
+         * @returns {object} 聚合后的报告数据
+         */
+        aggregateReports(reports, period = 'WEEK', limits = {}) {
+            return ReportAggregator.aggregate(reports, period, limits);
+        },
+
+        /**
+         * 按周期对记录分组
+         * @param {Array} items - 记录数组
+         * @param {string} period - 周期类型（DAY/WEEK/MONTH）
+         * @param {Function} getDate - 获取记录日期的函数
+         * @returns {Array} [{key, items}, ...]，按周期降序
+         */
+        groupReportsByPeriod(items, period, getDate) {
+            return ReportAggregator.groupByPeriod(items, period, getDate);
+        },
+
+        /**
+         * 计算日期所属周期的键
+         * @param {string|Date} value - 日期
+         * @param {string} period - 周期类型（DAY/WEEK/MONTH）
+         * @returns {string} 周期键：日 YYYY-MM-DD，周为该周周一 YYYY-MM-DD，月 YYYY-MM
+         */
+        getPeriodKey(value, period) {
+            return ReportAggregator.getPeriodKey(value, period);
+        },
+
+        /**
+         * 计算多份报告的每小时平均消息数（用于时段图表的平均折线，赋值给 reportData._hourlyAverage）
+         * @param {Array} reports - 报告数据数组
+         * @returns {{days: number, hours: Array}} 参与平均的天数和 [{hour, count}]
+         */
+        averageHourlyActivity(reports) {
+            return ReportAggregator.averageHourlyActivity(reports);
+        },
+
+        /**
+         * 根据历史日报生成成员档案（名字精确匹配，改过名的成员用别名表合并）
+         * @param {Array} entries - [{id, date, reportData}, ...]
+         * @param {string} name - 成员名字
+         * @param {object} options - {aliases: {旧名字: 现名字}}
+         * @returns {object} 档案，问答、资源等条目带 {id, date, index}，可用于跳转到对应日报的卡片
+         */
+        buildMemberProfile(entries, name, options = {}) {
+            return MemberStats.profile(entries || [], name, options.aliases || {});
+        },
+
+        /**
+         * 根据历史日报生成累计排行榜（消息数、上榜天数、最佳答案、资源、熬夜冠军）和成就
+         * @param {Array} entries - [{id, date, reportData}, ...]
+         * @param {object} options - {aliases, period: WEEK/MONTH/ALL, periodKey, limit}
+         * @returns {object} {boards, achievements}，条目带 best/earned {id, date}，可链接到对应日报
+         */
+        buildLeaderboards(entries, options) {
+            return MemberStats.leaderboards(entries || [], options);
+        },
+
+        /**
+         * 汇总历史日报分享的资源（同一链接合并，记录每次分享的成员和日期）
+         * @param {Array} entries - [{id, date, reportData}, ...]
+         * @returns {object} {groups, types, sharers}，shares 条目带 {id, date, index}，可跳转到对应日报的卡片
+         */
+        buildResourceLibrary(entries) {
+            return ResourceLibrary.build(entries || []);
+        },
+
+        /**
+         * 按类型、分享者和关键词筛选资源库
+         * @param {Array} groups - buildResourceLibrary 返回的 groups
+         * @param {object} filters - {type, sharer, keyword}
+         * @returns {Array} 符合条件的分组
+         */
+        filterResources(groups, filters) {
+            return ResourceLibrary.filter(groups || [], filters);
+        },
+
+        /**
+         * 股票推荐回测：每条推荐与 horizon 个报告日后的收盘价比较，统计命中率和置信度校准
+         * @param {Array} snapshots - 每日股票数据 [{date, stocks}, ...]，stocks 为 get_hot_stocks_with_reports 的返回
+         * @param {object} options - {horizon: 验证周期（报告日）}
+         * @returns {object} {horizon, holdTolerance, resolved, pending, hitRate, brier, byAction, calibration, calls}
+         */
+        evaluateBacktest(snapshots, options) {
+            return StockBacktest.evaluate(snapshots, options);
+        },
+
+        /**
+         * 回测的可选设置
+         * @returns {{horizons: Array<number>, holdTolerance: number, actionClasses: object}} 验证周期、持有的命中区间和投资建议的样式
+         */
+        getBacktestSettings() {
+            return {
+                horizons: StockBacktest.HORIZONS.slice(),
+                holdTolerance: StockBacktest.HOLD_TOLERANCE,
+                actionClasses: { ...StockBacktest.ACTION_CLASSES }
+            };
+        },
+
+        /**
+         * 判断是否为可以打开的网页链接（http/https）
+         * @param {string} url - 链接
+         * @returns {boolean} 是否为有效链接
+         */
+        isHttpUrl(url) {
+            return Utils.isHttpUrl(url);
+        },
+
+        /**
+         * 生成可点击的成员名字（带 .member-link 和 data-member，与日报中的名字一致）
+         * @param {string} name - 成员名字
+         * @returns {SafeHtml} HTML 片段，可直接嵌入 html 模板
+         */
+        createMemberLink(name) {
+            return Templates.memberName(name);
+        },
+
+        /**
+         * 成就的说明文字
+         * @param {object} achievement - buildLeaderboards / buildMemberProfile 返回的成就
+         * @returns {string} 当前语言的说明
+         */
+        describeAchievement(achievement) {
+            return I18n.t(`achievement.${achievement.metric}`, { count: achievement.threshold });
+        },
+
+        /**
+         * 为历史日报建立全文检索索引（热点话题、问答、资源、热词）
+         * @param {Array} entries - [{id, date, reportData}, ...]
+         * @returns {object} 索引，传给 searchReports 使用
+         */
+        buildSearchIndex(entries) {
+            return ReportSearch.buildIndex(entries || []);
+        },
+
+        /**
+         * 在索引中检索
+         * 结果条目的 section/index 对应页面卡片的 data-anchor="{section}-{index}"
+         * @param {object} index - buildSearchIndex 生成的索引
+         * @param {string} query - 查询文本
+         * @param {object} options - {limit}
+         * @returns {Array} 按日期降序分组的结果 [{date, items}]，snippet 为已转义并高亮的 HTML
+         */
+        searchReports(index, query, options) {
+            return ReportSearch.search(index, query, options);
+        },
+
+        /**
+         * 生成活跃热力图（每格一天，按 totalMessages 着色，无日报的日期留空）
+         * 格子带 data-date / data-report-id，配色取自主题变量，随主题切换
+         * @param {Array} days - [{id, date, totalMessages, activeUsers, topTopic}, ...]
+         * @param {object} options - {endDate, weeks}
+         * @returns {string} HTML 字符串
+         */
+        createActivityHeatmap(days, options) {
+            return Templates.activityHeatmap(days, options);
+        },
+
+        /**
+         * 转义 HTML 特殊字符
+         * @param {string} str - 要转义的字符串
+         * @returns {string} 转义后的字符串
+         */
+        escapeHtml(str) {
+            return Utils.escapeHtml(str);
+        },
+
+        /**
+         * HTML 标签模板：插值默认转义，嵌套的 html 模板、raw 标记的片段原样输出
+         * @example ChatLogRenderer.html`<span title="${name}">${name}</span>`
+         * @param {Array<string>} strings - 模板的字面量部分
+         * @param {...*} values - 插值
+         * @returns {SafeHtml} 拼接后的 HTML，可直接赋给 innerHTML
+         */
+        html(strings, ...values) {
+            return Utils.html(strings, ...values);
+        },
+
+        /**
+         * 将已确认安全的 HTML 字符串（如其他模板的输出）标记为无需转义
+         * @param {string} str - HTML 字符串
+         * @returns {SafeHtml} 标记后的 HTML
+         */
+        raw(str) {
+            return Utils.raw(str);
+        },
+
+        /**
+         * 用分隔符拼接一组 HTML 片段（数组直接插入 html 模板时不带分隔符）
+         * @param {Array} items - 片段，非 SafeHtml 的项会被转义
+         * @param {string} separator - 分隔符（按 HTML 原样输出），默认不加
+         * @returns {SafeHtml} 拼接后的 HTML
+         */
+        joinHtml(items, separator) {
+            return Utils.joinHtml(items, separator);
+        },
+
+        /**
+         * 按协议白名单检查链接（默认只允许 http/https）
+         * @param {string} url - 链接
+         * @param {Array<string>} protocols - 允许的协议（可选）
+         * @returns {string} 可以放进 href 的链接，不安全时为空字符串
+         */
+        safeUrl(url, protocols) {
+            return Utils.safeUrl(url, protocols);
+        },
+
+        /**
+         * 将报告数据渲染为独立的 HTML 文件内容
+         * @param {object} reportData - 完整的报告数据
+         * @param {object} options - 选项 {stylesheet, theme, locale}，指定 locale 时仅本次渲染使用该语言
+         * @returns {{html: string, errors: Array}} 完整的 HTML 文档及错误，数据无效时 html 为空
+         */
+        renderDocument(reportData, options = {}) {
+            const previousLocale = I18n.locale;
+            if (options.locale) {
+                I18n.setLocale(options.locale);
+            }
+            try {
+                const { html: body, title, errors } = this.renderToString(reportData);
+                if (Validator.affects(errors, 'reportData')) {
+                    return { html: '', errors };
+                }
+                return {
+                    html: String(Templates.document(body, { ...STATIC_DEFAULTS, ...options, title })),
+                    errors
+                };
+            } finally {
+                I18n.locale = previousLocale;
+            }
+        },
+
+        /**
+         * 设置界面语言（之后的 createLayout / init / 导出均使用该语言）
+         * @param {string} locale - 语言代码（如 'zh-CN'、'en-US'、'en'），为空时按 navigator.language
+         * @returns {string} 实际生效的语言
+         */
+        setLocale(locale) {
+            return I18n.setLocale(locale);
+        },
+
+        /**
+         * 获取当前界面语言
+         * @returns {string} 语言代码
+         */
+        getLocale() {
+            return I18n.getLocale();
+        },
+
+        /**
+         * 获取支持的语言列表
+         * @returns {Array<string>} 语言代码数组
+         */
+        getLocales() {
+            return Object.keys(MESSAGES);
+        },
+
+        /**
+         * 补充或覆盖文案（页面脚本可注册自己的文案后通过 t() 使用）
+         * @param {string} locale - 语言代码
+         * @param {object} messages - 文案 {key: text}
+         */
+        addMessages(locale, messages) {
+            I18n.addMessages(locale, messages);
+        },
+
+        /**
+         * 翻译文案
+         * @param {string} key - 文案键
+         * @param {object} params - 占位符参数
+         * @returns {string} 当前语言的文案
+         */
+        t(key, params) {
+            return I18n.t(key, params);
+        },
+
+        /**
+         * 翻译数据中的固定取值（如 reportType 的"日报"），无对应文案时原样返回
+         * @param {string} group - 取值分组
+         * @param {string} value - 原始取值
+         * @returns {string} 显示文本
+         */
+        translateTerm(group, value) {
+            return I18n.term(group, value);
+        },
+
+        /**
+         * 按当前语言格式化日期
+         * @param {string|Date} value - 日期或日期字符串
+         * @param {object} options - Intl.DateTimeFormat 选项
+         * @returns {string} 格式化后的日期
+         */
+        formatDate(value, options) {
+            return I18n.formatDate(value, options);
+        },
+
+        /**
+         * 显示错误信息
+         * @param {string} message - 错误消息
+         */
+        showError(message) {
+            const container = document.querySelector('.container');
+            if (container) {
+                container.innerHTML = html`
+                    <div style="padding: 40px; text-align: center; color: #f5576c;">
+                        <h2>${I18n.t('error.title')}</h2>
+                        <p>${message}</p>
+                        <p style="color: #666; font-size: 14px; margin-top: 20px;">
+                            ${I18n.t('error.checkConsole')}
+                        </p>
+                    </div>
+                `;
+            }
+        }
+    };
+
+    // 注册内置版块
+    Object.keys(BUILTIN_SECTIONS).forEach(name => {
+        ChatLogRenderer.registerSection(name, BUILTIN_SECTIONS[name]);
+    });
+
+    // 导出到全局
+    window.ChatLogRenderer = ChatLogRenderer;
+
+    // 导出为 CommonJS 模块（Node 静态渲染使用）
+    if (typeof module === 'object' && module.exports) {
+        module.exports = ChatLogRenderer;
+    }
+
+})(typeof window !== 'undefined' ? window : globalThis);
+
+/**
+ * 主题切换功能
+ * 支持跟随系统/明亮/深色三种模式和自定义配色，并保存用户偏好
+ */
+(function() {
+    'use strict';
+
+    // 非浏览器环境（如 Node 静态渲染）无需主题切换
+    if (typeof document === 'undefined') {
+        return;
+    }
+
+    /**
+     * 主题管理器
+     * preference 为用户选择（auto/light/dark/自定义配色名），theme 为实际生效的明暗主题（light/dark）
+     */
+    const ThemeManager = {
+        // 保存偏好的 localStorage 键
+        STORAGE_KEY: 'theme',
+
+        // 内置偏好，auto 跟随系统 prefers-color-scheme
+        MODES: ['auto', 'light', 'dark'],
+
+        // SVG图标定义
+        icons: {
+            sun: `
+                <circle cx="12" cy="12" r="5" fill="none" stroke="currentColor" stroke-width="2"/>
+                <line x1="12" y1="1" x2="12" y2="3" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
+                <line x1="12" y1="21" x2="12" y2="23" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
+                <line x1="4.22" y1="4.22" x2="5.64" y2="5.64" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
+                <line x1="18.36" y1="18.36" x2="19.78" y2="19.78" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
+                <line x1="1" y1="12" x2="3" y2="12" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
+                <line x1="21" y1="12" x2="23" y2="12" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
+                <line x1="4.22" y1="19.78" x2="5.64" y2="18.36" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
+                <line x1="18.36" y1="5.64" x2="19.78" y2="4.22" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
+            `,
+            moon: `
+                <path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z" fill="currentColor"/>
+            `,
+            auto: `
+                <circle cx="12" cy="12" r="9" fill="none" stroke="currentColor" stroke-width="2"/>
+                <path d="M12 3a9 9 0 0 1 0 18z" fill="currentColor"/>
+            `,
+            palette: `
+                <path d="M12 3a9 9 0 1 0 0 18c1.1 0 1.5-.8 1.5-1.5 0-.9-.7-1.3-.7-2.2 0-.9.7-1.5 1.6-1.5H17a4 4 0 0 0 4-4c0-4.4-4-8.8-9-8.8z" fill="none" stroke="currentColor" stroke-width="2"/>
+                <circle cx="7.5" cy="11" r="1.5" fill="currentColor"/>
+                <circle cx="12" cy="7.5" r="1.5" fill="currentColor"/>
+                <circle cx="16.5" cy="11" r="1.5" fill="currentColor"/>
+            `
+        },
+
+        // 自定义配色 Map<name, {base, label, icon, variables}>
+        palettes: new Map(),
+
+        // 当前偏好、生效的主题和配色
+        preference: 'auto',
+        theme: null,
+        palette: null,
+
+        // 当前配色写入的 CSS 变量（切换时移除）
+        appliedVariables: [],
+
+        /**
+         * 初始化主题管理器
+         */
+        init() {
+            this.themeToggle = document.getElementById('theme-toggle');
+            this.themeIcon = document.getElementById('theme-icon');
+            this.html = document.documentElement;
+
+            // 跟随系统：系统明暗变化时实时切换
+            this.mediaQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+            if (this.mediaQuery) {
+                const onSystemChange = () => {
+                    if (this.preference === 'auto') {
+                        this.applyTheme('auto', { persist: false });
+                    }
+                };
+                if (this.mediaQuery.addEventListener) {
+                    this.mediaQuery.addEventListener('change', onSystemChange);
+                } else {
+                    this.mediaQuery.addListener(onSystemChange);
+                }
+            }
+
+            // 从 localStorage 获取保存的偏好，默认跟随系统
+            this.applyTheme(localStorage.getItem(this.STORAGE_KEY) || 'auto', { persist: false });
+
+            if (!this.themeToggle || !this.themeIcon) {
+                console.warn('主题切换元素未找到,跳过主题切换按钮初始化');
+                return;
+            }
+
+            // 绑定切换事件（点击或键盘 Enter/空格）
+            this.themeToggle.addEventListener('click', () => this.toggleTheme());
+            this.themeToggle.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter' || event.key === ' ') {
+                    event.preventDefault();
+                    this.toggleTheme();
+                }
+            });
+
+            console.log('✅ 主题切换功能初始化完成');
+        },
+
+        /**
+         * 注册自定义配色（同名配色会被覆盖）
+         * @param {string} name - 配色名称，作为偏好值保存
+         * @param {Object} definition - 配色定义
+         * @param {string} definition.base - 基础明暗主题 ('light' 或 'dark')，未覆盖的变量和样式沿用该主题
+         * @param {string|Function} definition.label - 显示名称（函数形式可随语言变化）
+         * @param {string} definition.icon - 按钮图标的 SVG 内容（可选）
+         * @param {Object} definition.variables - CSS 变量，如 {'--color-bg-primary': '#f4ecd8'}
+         */
+        registerPalette(name, { base = 'light', label = name, icon, variables = {} } = {}) {
+            if (this.MODES.includes(name)) {
+                throw new Error(`配色名称 ${name} 与内置主题重复`);
+            }
+
+            this.palettes.set(name, { base: base === 'dark' ? 'dark' : 'light', label, icon, variables });
+
+            // 保存的偏好是该配色时（配色晚于初始化注册），立即应用
+            if (this.html && this.preference === name) {
+                this.applyTheme(name, { persist: false });
+            }
+        },
+
+        /**
+         * 可选的偏好列表（内置模式在前，自定义配色按注册顺序在后）
+         * @returns {Array<string>} 偏好列表
+         */
+        getPreferences() {
+            return [...this.MODES, ...this.palettes.keys()];
+        },
+
+        /**
+         * 系统当前的明暗主题（不支持 matchMedia 时为深色）
+         * @returns {string} 'light' 或 'dark'
+         */
+        getSystemTheme() {
+            if (!this.mediaQuery) return 'dark';
+            return this.mediaQuery.matches ? 'dark' : 'light';
+        },
+
+        /**
+         * 将偏好解析为生效的主题（未注册的配色按 auto 处理）
+         * @param {string} preference - 偏好
+         * @returns {{theme: string, palette: string|null}} 明暗主题和配色名称
+         */
+        resolve(preference) {
+            if (preference === 'light' || preference === 'dark') {
+                return { theme: preference, palette: null };
+            }
+            if (this.palettes.has(preference)) {
+                return { theme: this.palettes.get(preference).base, palette: preference };
+            }
+            return { theme: this.getSystemTheme(), palette: null };
+        },
+
+        /**
+         * 应用主题，主题或偏好变化时触发 themechange 事件
+         * @param {string} preference - 偏好 ('auto'、'light'、'dark' 或自定义配色名)
+         * @param {Object} options - {persist: 是否保存到 localStorage，默认 true}
+         * @returns {{theme: string, preference: string, palette: string|null}} 当前主题
+         */
+        applyTheme(preference, { persist = true } = {}) {
+            const previous = this.getCurrentTheme();
+            const { theme, palette } = this.resolve(preference);
+
+            this.preference = preference;
+            this.theme = theme;
+            this.palette = palette;
+
+            this.html.setAttribute('data-theme', theme);
+            this.html.style.colorScheme = theme;
+
+            // 移除上一个配色的变量，再写入新配色
+            this.appliedVariables.forEach(name => this.html.style.removeProperty(name));
+            this.appliedVariables = [];
+            if (palette) {
+                this.html.setAttribute('data-palette', palette);
+                Object.entries(this.palettes.get(palette).variables).forEach(([name, value]) => {
+                    this.html.style.setProperty(name, value);
+                    this.appliedVariables.push(name);
+                });
+            } else {
+                this.html.removeAttribute('data-palette');
+            }
+
+            this.updateToggle();
+
+            if (persist) {
+                localStorage.setItem(this.STORAGE_KEY, preference);
+            }
+
+            const current = this.getCurrentTheme();
+            const changed = ['theme', 'preference', 'palette'].some(key => previous[key] !== current[key]);
+            if (changed) {
+                // 触发自定义事件,通知其他组件主题已切换
+                window.dispatchEvent(new CustomEvent('themechange', { detail: current }));
+            }
+            return current;
+        },
+
+        /**
+         * 偏好的显示名称
+         * @param {string} preference - 偏好
+         * @returns {string} 显示名称
+         */
+        getLabel(preference) {
+            const palette = this.palettes.get(preference);
+            if (palette) {
+                return typeof palette.label === 'function' ? palette.label() : palette.label;
+            }
+            const t = window.ChatLogRenderer ? window.ChatLogRenderer.t : key => key;
+            return t(`theme.${this.MODES.includes(preference) ? preference : 'auto'}`);
+        },
+
+        /**
+         * 更新切换按钮的图标和说明（切换语言后也可调用）
+         */
+        updateToggle() {
+            if (!this.themeToggle || !this.themeIcon) return;
+
+            const palette = this.palettes.get(this.preference);
+            let icon = this.theme === 'dark' ? this.icons.moon : this.icons.sun;
+            if (palette) {
+                icon = palette.icon || this.icons.palette;
+            } else if (!this.MODES.includes(this.preference) || this.preference === 'auto') {
+                icon = this.icons.auto;
+            }
+            this.themeIcon.innerHTML = icon;
+
+            const label = window.ChatLogRenderer
+                ? window.ChatLogRenderer.t('theme.toggle', { name: this.getLabel(this.preference) })
+                : this.getLabel(this.preference);
+            this.themeToggle.setAttribute('aria-label', label);
+            this.themeToggle.setAttribute('title', label);
+        },
+
+        /**
+         * 切换到下一个偏好（auto → light → dark → 自定义配色 → auto）
+         * @returns {{theme: string, preference: string, palette: string|null}} 当前主题
+         */
+        toggleTheme() {
+            const preferences = this.getPreferences();
+            const next = preferences[(preferences.indexOf(this.preference) + 1) % preferences.length];
+            return this.applyTheme(next);
+        },
+
+        /**
+         * 获取当前主题
+         * @returns {{theme: string, preference: string, palette: string|null}} 生效的明暗主题、用户偏好和配色名称
+         */
+        getCurrentTheme() {
+            return { theme: this.theme, preference: this.preference, palette: this.palette };
+        }
+    };
+
+    // 等待 DOM 加载完成后初始化
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => ThemeManager.init());
+    } else {
+        ThemeManager.init();
+    }
+
+    // 导出到全局
+    window.ThemeManager = ThemeManager;
+
+})();
@@ -0,0 +1,134 @@
+/**
+ * 静态日报渲染（ChatLogRenderer.renderDocument，tools/render-static-report.js 使用）
+ * 运行：node --test test/
+ * 快照位于 test/__snapshots__/，缺失或不一致时测试失败；新增快照或模板有意改动后用 UPDATE_SNAPSHOTS=1 重新生成
+ */
+
+'use strict';
+
+// 日报日期按本地时区显示，固定时区使快照在任何机器上一致
+process.env.TZ = 'Asia/Shanghai';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const ChatLogRenderer = require('../static/script-v1.8.js');
+
+const REPORTS_DIR = path.join(__dirname, '..', '110', 'reports');
+const SNAPSHOT_DIR = path.join(__dirname, '__snapshots__');
+const DAYS = ['2025-10-29', '2025-10-30'];
+const LOCALES = ['zh-CN', 'en-US'];
+
+/**
+ * 从静态日报页面中取出内嵌的 reportData
+ * 固定 createdAt（不带时区，按本地时间解析），避免页脚的生成时间随运行时间变化
+ * @param {string} day - 日期（对应 daily-report-day-<day>.html）
+ * @returns {object} 报告数据
+ */
+function loadReportData(day) {
+    const page = fs.readFileSync(path.join(REPORTS_DIR, `daily-report-day-${day}.html`), 'utf8');
+    const match = page.match(/const reportData = (\{.*\});?\n/);
+    assert.ok(match, `daily-report-day-${day}.html 中没有找到 reportData`);
+    return {
+        ...JSON.parse(match[1]),
+        _dbFields: { reportDate: day, createdAt: `${day}T23:30:00` }
+    };
+}
+
+/**
+ * 与快照文件比较，设置了 UPDATE_SNAPSHOTS=1 时改为写入
+ * @param {string} name - 快照文件名
+ * @param {string} actual - 渲染结果
+ */
+function matchSnapshot(name, actual) {
+    const file = path.join(SNAPSHOT_DIR, name);
+    if (process.env.UPDATE_SNAPSHOTS === '1') {
+        fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+        fs.writeFileSync(file, actual);
+        return;
+    }
+    assert.ok(fs.existsSync(file), `缺少快照 ${name}（新增快照时用 UPDATE_SNAPSHOTS=1 生成）`);
+    assert.equal(actual, fs.readFileSync(file, 'utf8'), `与快照 ${name} 不一致（有意改动时用 UPDATE_SNAPSHOTS=1 更新）`);
+}
+
+DAYS.forEach(day => {
+    LOCALES.forEach(locale => {
+        test(`快照：${day} 日报（${locale}）`, () => {
+            const { html, errors } = ChatLogRenderer.renderDocument(loadReportData(day), { locale });
+
+            assert.deepEqual(errors, []);
+            assert.ok(html.startsWith('<!DOCTYPE html>'));
+            matchSnapshot(`daily-report-day-${day}.${locale}.html`, html);
+        });
+    });
+});
+
+test('指定 locale 只影响本次渲染', () => {
+    const before = ChatLogRenderer.getLocale();
+    ChatLogRenderer.renderDocument(loadReportData(DAYS[0]), { locale: 'en-US' });
+    assert.equal(ChatLogRenderer.getLocale(), before);
+});
+
+test('无效数据：不抛错，返回空 html 和 reportData 错误', () => {
+    [null, undefined, 'report', 42, [], [loadReportData(DAYS[0])]].forEach(reportData => {
+        const { html, errors } = ChatLogRenderer.renderDocument(reportData);
+        assert.equal(html, '');
+        assert.deepEqual(errors.map(error => error.path), ['reportData']);
+
+        const rendered = ChatLogRenderer.renderToString(reportData);
+        assert.equal(rendered.html, '');
+        assert.equal(typeof rendered.title, 'string');
+
+        // Markdown 导出和海报使用同样的约定
+        const exported = ChatLogRenderer.toMarkdown(reportData);
+        assert.equal(exported.markdown, '');
+        assert.deepEqual(exported.errors.map(error => error.path), ['reportData']);
+
+        const poster = ChatLogRenderer.createPoster(reportData);
+        assert.equal(poster.canvas, null);
+        assert.deepEqual(poster.errors.map(error => error.path), ['reportData']);
+    });
+});
+
+test('Markdown 导出：返回文本及校验错误，出错的版块显示不可用提示', () => {
+    const reportData = loadReportData(DAYS[0]);
+    assert.deepEqual(ChatLogRenderer.toMarkdown(reportData).errors, []);
+
+    reportData.hotTopics = 'oops';
+    const { markdown, errors } = ChatLogRenderer.toMarkdown(reportData);
+    assert.deepEqual(errors.map(error => error.path), ['hotTopics']);
+    assert.match(markdown, /^# /);
+});
+
+test('数据不完整：只有出错的版块显示不可用提示', () => {
+    const reportData = loadReportData(DAYS[0]);
+    reportData.hotTopics = 'oops';
+
+    const { html, errors } = ChatLogRenderer.renderDocument(reportData, { locale: 'zh-CN' });
+    assert.deepEqual(errors.map(error => error.path), ['hotTopics']);
+    assert.match(html, /section-unavailable/);
+    assert.match(html, /id="report-footer"/);
+});
+
+test('校验错误信息按渲染语言输出', () => {
+    const reportData = loadReportData(DAYS[0]);
+    reportData.hotTopics = 'oops';
+    delete reportData.reportSummary;
+
+    const messages = locale => ChatLogRenderer.renderDocument(reportData, { locale }).errors.map(error => error.message);
+    assert.deepEqual(messages('en-US'), ['Expected array, got string', 'Required field is missing']);
+    assert.deepEqual(messages('zh-CN'), ['应为 array，实际为 string', '缺少必填字段']);
+});
+
+test('对比模式：排行中的名次变化标记按 HTML 输出，不被转义', () => {
+    const reportData = ChatLogRenderer.compareReports(loadReportData(DAYS[1]), loadReportData(DAYS[0]));
+
+    const { html, errors } = ChatLogRenderer.renderDocument(reportData, { locale: 'zh-CN' });
+    assert.deepEqual(errors, []);
+
+    const ranking = html.match(/<div class="participants-ranking" id="activity-ranking-container">([\s\S]*?)<h3>/);
+    assert.ok(ranking, '没有找到活跃排行');
+    assert.match(ranking[1], /<span class="rank-move rank-(new|up|down|same)">/);
+    assert.doesNotMatch(ranking[1], /&lt;|&gt;|&quot;/);
+});
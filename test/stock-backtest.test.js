@@ -0,0 +1,123 @@
+/**
+ * 股票推荐回测（ChatLogRenderer.evaluateBacktest）
+ * 运行：node --test test/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ChatLogRenderer = require('../static/script-v1.8.js');
+
+/**
+ * 构造 get_hot_stocks_with_reports 返回的一条股票数据
+ * @param {string} code - 股票代码
+ * @param {number} close - 收盘价
+ * @param {string} action - 投资建议（可选）
+ * @param {number} confidence - 置信度（可选）
+ * @returns {object} 股票数据
+ */
+function stock(code, close, action, confidence) {
+    return {
+        stock_code: code,
+        stock_name: code,
+        close: String(close),
+        decision: action ? { action, confidence } : null
+    };
+}
+
+test('命中率：买入上涨、卖出下跌算命中，按投资建议分组', () => {
+    const result = ChatLogRenderer.evaluateBacktest([
+        { date: '2025-10-28', stocks: [stock('A', 10, '买入'), stock('B', 10, '卖出'), stock('C', 10, '买入')] },
+        { date: '2025-10-29', stocks: [stock('A', 11), stock('B', 9), stock('C', 9)] }
+    ], { horizon: 1 });
+
+    assert.equal(result.resolved, 3);
+    assert.equal(result.pending, 0);
+    assert.equal(result.hitRate, 2 / 3);
+    assert.deepEqual(result.byAction.map(row => [row.action, row.count, row.hitRate]), [
+        ['买入', 2, 0.5],
+        ['卖出', 1, 1]
+    ]);
+    assert.ok(Math.abs(result.byAction[0].avgReturn - 0) < 1e-12);
+});
+
+test('验证周期：按报告日计数，缺席的日子顺延到下一次出现，之后没有价格的推荐为待验证', () => {
+    const snapshots = [
+        { date: '2025-10-27', stocks: [stock('A', 10, '买入')] },
+        { date: '2025-10-28', stocks: [stock('A', 9)] },
+        { date: '2025-10-29', stocks: [] },
+        { date: '2025-10-30', stocks: [stock('A', 12)] }
+    ];
+
+    const [call] = ChatLogRenderer.evaluateBacktest(snapshots, { horizon: 1 }).calls;
+    assert.equal(call.hit, false);
+    assert.ok(Math.abs(call.change - -0.1) < 1e-12);
+
+    // 第 2 个报告日没有 A，使用第 3 个报告日的收盘价
+    const later = ChatLogRenderer.evaluateBacktest(snapshots, { horizon: 2 }).calls[0];
+    assert.equal(later.hit, true);
+    assert.ok(Math.abs(later.change - 0.2) < 1e-12);
+
+    const pending = ChatLogRenderer.evaluateBacktest(snapshots, { horizon: 5 });
+    assert.equal(pending.resolved, 0);
+    assert.equal(pending.pending, 1);
+    assert.equal(pending.hitRate, null);
+    assert.equal(pending.calls[0].hit, null);
+});
+
+test('验证周期：快照不按日期排列时先排序，未指定时使用默认周期', () => {
+    const result = ChatLogRenderer.evaluateBacktest([
+        { date: '2025-10-29', stocks: [stock('A', 11)] },
+        { date: '2025-10-28', stocks: [stock('A', 10, '买入')] }
+    ], { horizon: null });
+
+    assert.equal(result.horizon, ChatLogRenderer.getBacktestSettings().horizons[0]);
+    assert.equal(result.calls[0].date, '2025-10-28');
+    assert.equal(result.calls[0].hit, true);
+});
+
+test('持有：涨跌幅绝对值不超过命中区间算命中，边界本身也算', () => {
+    const { holdTolerance } = ChatLogRenderer.getBacktestSettings();
+    const exits = [100 * (1 + holdTolerance), 100 * (1 - holdTolerance), 106, 94, 100];
+    const result = ChatLogRenderer.evaluateBacktest([
+        { date: '2025-10-28', stocks: exits.map((_, i) => stock(`S${i}`, 100, '持有')) },
+        { date: '2025-10-29', stocks: exits.map((close, i) => stock(`S${i}`, close)) }
+    ], { horizon: 1 });
+
+    assert.equal(result.holdTolerance, holdTolerance);
+    assert.deepEqual(result.calls.map(call => call.hit), [true, true, false, false, true]);
+});
+
+test('置信度校准：分组包含下边界，最后一组包含 100%', () => {
+    const confidences = [0, 0.1999, 0.2, 0.4, 0.79, 0.8, 1];
+    const result = ChatLogRenderer.evaluateBacktest([
+        { date: '2025-10-28', stocks: confidences.map((confidence, i) => stock(`S${i}`, 10, '买入', confidence)) },
+        { date: '2025-10-29', stocks: confidences.map((_, i) => stock(`S${i}`, 11)) }
+    ], { horizon: 1 });
+
+    assert.deepEqual(result.calibration.map(bin => [bin.from, bin.to, bin.count]), [
+        [0, 0.2, 2],
+        [0.2, 0.4, 1],
+        [0.4, 0.6, 1],
+        [0.6, 0.8, 1],
+        [0.8, 1, 2]
+    ]);
+    assert.ok(result.calibration.every(bin => bin.hitRate === 1));
+
+    // 全部命中时 brier = mean((1 - confidence)^2)
+    const brier = confidences.reduce((sum, c) => sum + (1 - c) ** 2, 0) / confidences.length;
+    assert.ok(Math.abs(result.brier - brier) < 1e-12);
+});
+
+test('置信度校准：空分组不输出，超出 0–1 的置信度不计入', () => {
+    const result = ChatLogRenderer.evaluateBacktest([
+        { date: '2025-10-28', stocks: [stock('A', 10, '卖出', 0.5), stock('B', 10, '卖出', 1.5), stock('C', 10, '卖出')] },
+        { date: '2025-10-29', stocks: [stock('A', 11), stock('B', 11), stock('C', 11)] }
+    ], { horizon: 1 });
+
+    assert.deepEqual(result.calibration.map(bin => [bin.from, bin.count, bin.hitRate]), [[0.4, 1, 0]]);
+    assert.equal(result.resolved, 3);
+    // 只有 A（0.5，未命中）计入 Brier 分数
+    assert.ok(Math.abs(result.brier - 0.25) < 1e-12);
+});
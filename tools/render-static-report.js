@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+/**
+ * 静态日报生成脚本
+ * 将 reportData（或 report_info 表的一行记录）渲染为无需 JS 的独立 HTML 文件
+ *
+ * 用法：
+ *   node tools/render-static-report.js <input.json> [output.html] [--theme=light|dark] [--stylesheet=URL] [--locale=zh-CN|en-US]
+ *
+ * 未指定 output.html 时输出到标准输出
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const ChatLogRenderer = require('../static/script-v1.8.js');
+
+/**
+ * 解析命令行参数
+ * @param {Array<string>} argv - 命令行参数
+ * @returns {object} {input, output, options}
+ */
+function parseArgs(argv) {
+    const positional = [];
+    const options = {};
+
+    argv.forEach(arg => {
+        const match = arg.match(/^--(\w+)=(.*)$/);
+        if (match) {
+            options[match[1]] = match[2];
+        } else {
+            positional.push(arg);
+        }
+    });
+
+    return { input: positional[0], output: positional[1], options };
+}
+
+/**
+ * 读取报告数据，兼容 report_info 记录格式（与页面中 DataMapper.extractReportData 一致）
+ * @param {string} file - JSON 文件路径
+ * @returns {object} 报告数据
+ */
+function loadReportData(file) {
+    const json = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (json && json.report_data) {
+        return {
+            ...json.report_data,
+            _dbFields: {
+                reportDate: json.report_date,
+                createdAt: json.created_at
+            }
+        };
+    }
+    return json;
+}
+
+function main() {
+    const { input, output, options } = parseArgs(process.argv.slice(2));
+
+    if (!input) {
+        console.error('用法: node tools/render-static-report.js <input.json> [output.html] [--theme=light|dark] [--stylesheet=URL] [--locale=zh-CN|en-US]');
+        process.exit(1);
+    }
+
+    let reportData;
+    try {
+        reportData = loadReportData(path.resolve(input));
+    } catch (error) {
+        console.error(`❌ 读取 ${input} 失败: ${error.message}`);
+        process.exit(1);
+    }
+
+    const { html, errors } = ChatLogRenderer.renderDocument(reportData, options);
+
+    errors.forEach(error => {
+        console.error(`⚠️ ${error.path}: ${error.message}`);
+    });
+
+    if (!html) {
+        console.error('❌ 报告数据无效，未生成文件');
+        process.exit(1);
+    }
+
+    if (output) {
+        fs.writeFileSync(path.resolve(output), html);
+        console.error(`✅ 已生成 ${output}`);
+    } else {
+        process.stdout.write(html);
+    }
+}
+
+main();